@@ -18,13 +18,11 @@
 
 'use strict';
 
-const { Gio, GLib, Meta } = imports.gi;
-const ByteArray = imports.byteArray;
+const { Meta } = imports.gi;
 const Main = imports.ui.main;
 
 const ExtensionUtils = imports.misc.extensionUtils;
 const Me = ExtensionUtils.getCurrentExtension();
-const Rect = Me.imports.src.extension.geometry.Rect;
 
 let Settings;
 let Util;
@@ -49,14 +47,24 @@ function enable() {
     Util = Me.imports.src.extension.utility.Util;
     Util.initialize();
 
+    const LayoutsManager = Me.imports.src.extension.layoutsManager;
+    this._layoutsManager = new LayoutsManager.LayoutManager();
     const MoveHandler = Me.imports.src.extension.moveHandler;
-    this._moveHandler = new MoveHandler.Handler();
+    this._moveHandler = new MoveHandler.Handler(this._layoutsManager);
     const ResizeHandler = Me.imports.src.extension.resizeHandler;
     this._resizeHandler = new ResizeHandler.Handler();
     const KeybindingHandler = Me.imports.src.extension.keybindingHandler;
     this._keybindingHandler = new KeybindingHandler.Handler();
-    const LayoutsManager = Me.imports.src.extension.layoutsManager;
-    this._layoutsManager = new LayoutsManager.LayoutManager();
+    const AutoTilingHandler = Me.imports.src.extension.autoTilingHandler;
+    this._autoTilingHandler = new AutoTilingHandler.Handler();
+    // Restores the tiling state (e. g. after the session was unlocked or
+    // GNOME Shell was restarted) and keeps it saved.
+    const TilingStateHandler = Me.imports.src.extension.tilingStateHandler;
+    this._tilingStateHandler = new TilingStateHandler.Handler();
+    // Lets scripts control the tiling via D-Bus.
+    const DBusService = Me.imports.src.extension.dbusService;
+    this._dbusService = new DBusService.Service(this._keybindingHandler,
+        this._layoutsManager);
 
     // Disable native tiling.
     this._gnomeMutterSettings = ExtensionUtils.getSettings('org.gnome.mutter');
@@ -82,9 +90,6 @@ function enable() {
         });
     };
 
-    // Restore tiled window properties after session was unlocked.
-    _loadAfterSessionLock();
-
     // TODO: remove: new setting compatibility code
     const windowGap = Settings.getInt(Settings.WINDOW_GAP);
     const screenGap = Settings.getInt(Settings.SCREEN_GAP);
@@ -92,10 +97,11 @@ function enable() {
 }
 
 function disable() {
-    // Save tiled window properties, if the session was locked to restore
-    // them after the session is unlocked again.
-    _saveBeforeSessionLock();
-
+    // Save the tiling state before the tiling properties are deleted.
+    this._tilingStateHandler.destroy();
+    this._tilingStateHandler = null;
+    this._dbusService.destroy();
+    this._dbusService = null;
     this._moveHandler.destroy();
     this._moveHandler = null;
     this._resizeHandler.destroy();
@@ -104,6 +110,8 @@ function disable() {
     this._keybindingHandler = null;
     this._layoutsManager.destroy();
     this._layoutsManager = null;
+    this._autoTilingHandler.destroy();
+    this._autoTilingHandler = null;
 
     Util.destroy();
     Util = null;
@@ -126,98 +134,3 @@ function disable() {
         delete w.untiledRect;
     });
 }
-
-/**
- * Extensions are disabled when the screen is locked. So save the custom tiling
- * properties of windows before locking the screen.
- */
-function _saveBeforeSessionLock() {
-    if (!Main.sessionMode.isLocked)
-        return;
-
-    this._wasLocked = true;
-
-    const rectToJsObj = rect => rect && {
-        x: rect.x,
-        y: rect.y,
-        width: rect.width,
-        height: rect.height
-    };
-
-    // can't just check for isTiled because maximized windows may
-    // have an untiledRect as well in case window gaps are used
-    const openWindows = Util.getWindows(false);
-    const savedWindows = openWindows.filter(w => w.untiledRect).map(w => {
-        return {
-            windowId: w.get_stable_sequence(),
-            isTiled: w.isTiled,
-            tiledRect: rectToJsObj(w.tiledRect),
-            untiledRect: rectToJsObj(w.untiledRect)
-        };
-    });
-
-    const saveObj = {
-        'windows': savedWindows,
-        'tileGroups': Array.from(Util.getTileGroups())
-    };
-
-    const userPath = GLib.get_user_config_dir();
-    const parentPath = GLib.build_filenamev([userPath, '/tiling-assistant']);
-    const parent = Gio.File.new_for_path(parentPath);
-    try { parent.make_directory_with_parents(null); } catch (e) {}
-    const path = GLib.build_filenamev([parentPath, '/tiledSessionRestore.json']);
-    const file = Gio.File.new_for_path(path);
-    try { file.create(Gio.FileCreateFlags.NONE, null); } catch (e) {}
-    file.replace_contents(JSON.stringify(saveObj), null, false,
-        Gio.FileCreateFlags.REPLACE_DESTINATION, null);
-}
-
-/**
- * Extensions are disabled when the screen is locked. After having saved them,
- * reload them here.
- */
-function _loadAfterSessionLock() {
-    if (!this._wasLocked)
-        return;
-
-    this._wasLocked = false;
-
-    const userPath = GLib.get_user_config_dir();
-    const path = GLib.build_filenamev([userPath, '/tiling-assistant/tiledSessionRestore.json']);
-    const file = Gio.File.new_for_path(path);
-    if (!file.query_exists(null))
-        return;
-
-    try { file.create(Gio.FileCreateFlags.NONE, null); } catch (e) {}
-    const [success, contents] = file.load_contents(null);
-    if (!success || !contents.length)
-        return;
-
-    const openWindows = Util.getWindows(false);
-    const saveObj = JSON.parse(ByteArray.toString(contents));
-
-    const windowObjects = saveObj['windows'];
-    windowObjects.forEach(wObj => {
-        const { windowId, isTiled, tiledRect, untiledRect } = wObj;
-        const window = openWindows.find(w => w.get_stable_sequence() === windowId);
-        if (!window)
-            return;
-
-        const jsToRect = jsRect => jsRect && new Rect(
-            jsRect.x, jsRect.y, jsRect.width, jsRect.height
-        );
-
-        window.isTiled = isTiled;
-        window.tiledRect = jsToRect(tiledRect);
-        window.untiledRect = jsToRect(untiledRect);
-    });
-
-    const tileGroups = new Map(saveObj['tileGroups']);
-    Util.setTileGroups(tileGroups);
-    openWindows.forEach(w => {
-        if (tileGroups.has(w.get_id())) {
-            const group = Util.getTileGroupFor(w);
-            Util.updateTileGroup(group);
-        }
-    });
-}
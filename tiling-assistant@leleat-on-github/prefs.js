@@ -7,6 +7,7 @@ const ExtensionUtils = imports.misc.extensionUtils;
 const Me = ExtensionUtils.getCurrentExtension();
 
 const LayoutPrefs = Me.imports.src.prefs.layoutsPrefs.Prefs;
+const TileEditingModePrefs = Me.imports.src.prefs.tileEditingModePrefs.Prefs;
 const { Changelog } = Me.imports.src.prefs.changelog;
 const { ListRow } = Me.imports.src.prefs.listRow;
 const { ShortcutListener } = Me.imports.src.prefs.shortcutListener;
@@ -38,6 +39,8 @@ const PrefsWidget = GObject.registerClass({
         'enable_tiling_popup',
         'tiling_popup_all_workspace',
         'enable_raise_tile_group',
+        'enable_minimize_tile_group',
+        'enable_auto_tiling',
         'window_gap',
         'screen_gap',
         'maximize_with_gap',
@@ -49,6 +52,17 @@ const PrefsWidget = GObject.registerClass({
         'toggle_tiling_popup',
         'tile_edit_mode',
         'auto_tile',
+        'undo_tiling',
+        'redo_tiling',
+        'rotate_tile_group',
+        'mirror_tile_group_horizontally',
+        'mirror_tile_group_vertically',
+        'balance_tile_group',
+        'move_tile_group_to_next_monitor',
+        'move_tile_group_to_previous_monitor',
+        'move_tile_group_to_next_workspace',
+        'move_tile_group_to_previous_workspace',
+        'close_tile_group',
         'tile_maximize',
         'tile_top_half',
         'tile_bottom_half',
@@ -58,10 +72,17 @@ const PrefsWidget = GObject.registerClass({
         'tile_topright_quarter',
         'tile_bottomleft_quarter',
         'tile_bottomright_quarter',
+        'tile_editing_mode_show_legend',
+        'tile_editing_mode_keys_listbox',
+        'reset_tile_editing_mode_keys_button',
+        'layouts_reuse_open_windows',
+        'layout_editor_grid',
         'search_popup_layout',
         'change_favorite_layout',
+        'capture_layout',
         'layouts_listbox',
         'add_layout_button',
+        'capture_layout_button',
         'save_layouts_button',
         'reload_layouts_button',
         'hidden_settings_page',
@@ -72,13 +93,19 @@ const PrefsWidget = GObject.registerClass({
         'edge_tiling_row',
         'split_tiles_row',
         'favorite_layout_row',
+        'snap_zones_row',
         'move_split_tiles_mod',
         'move_favorite_layout_mod',
+        'move_snap_zones_mod',
+        'move_tile_group_mod',
         'vertical_preview_area',
         'horizontal_preview_area',
         'toggle_maximize_tophalf_timer',
         'enable_hold_maximize_inverse_landscape',
         'enable_hold_maximize_inverse_portrait',
+        'enable_snap_layout_menu',
+        'enable_swap_on_drop',
+        'enable_keyboard_move_zones',
         'restore_window_size_on',
         'debugging_show_tiled_rects',
         'debugging_free_rects'
@@ -104,6 +131,10 @@ const PrefsWidget = GObject.registerClass({
         // prefs side (including the keyboard shortcuts)
         this._layoutsPrefs = new LayoutPrefs(this);
 
+        // TileEditingModePrefs creates the rows for the keys of the
+        // Tile Editing Mode.
+        this._tileEditingModePrefs = new TileEditingModePrefs(this);
+
         // Setup titlebar and size
         this.connect('realize', () => {
             const prefsDialog = this.get_root();
@@ -214,13 +245,20 @@ const PrefsWidget = GObject.registerClass({
             Settings.ENABLE_TILING_POPUP,
             Settings.POPUP_ALL_WORKSPACES,
             Settings.RAISE_TILE_GROUPS,
+            Settings.MINIMIZE_TILE_GROUPS,
+            Settings.ENABLE_AUTO_TILING,
             Settings.MAXIMIZE_WITH_GAPS,
+            Settings.LAYOUTS_REUSE_WINDOWS,
             Settings.ENABLE_ADV_EXP_SETTINGS,
             Settings.SHOW_CHANGE_ON_UPDATE,
             Settings.ENABLE_TILE_ANIMATIONS,
             Settings.ENABLE_UNTILE_ANIMATIONS,
             Settings.ENABLE_HOLD_INVERSE_LANDSCAPE,
-            Settings.ENABLE_HOLD_INVERSE_PORTRAIT
+            Settings.ENABLE_HOLD_INVERSE_PORTRAIT,
+            Settings.SNAP_LAYOUT_MENU,
+            Settings.SWAP_ON_DROP,
+            Settings.KEYBOARD_MOVE_ZONES,
+            Settings.TILE_EDITING_MODE_LEGEND
         ];
 
         switches.forEach(key => {
@@ -235,7 +273,8 @@ const PrefsWidget = GObject.registerClass({
             Settings.SCREEN_GAP,
             Settings.INVERSE_TOP_MAXIMIZE_TIMER,
             Settings.VERTICAL_PREVIEW_AREA,
-            Settings.HORIZONTAL_PREVIEW_AREA
+            Settings.HORIZONTAL_PREVIEW_AREA,
+            Settings.LAYOUT_EDITOR_GRID
         ];
 
         spinButtons.forEach(key => {
@@ -248,6 +287,8 @@ const PrefsWidget = GObject.registerClass({
         const comboBoxes = [
             Settings.SPLIT_TILE_MOD,
             Settings.FAVORITE_LAYOUT_MOD,
+            Settings.SNAP_ZONES_MOD,
+            Settings.MOVE_TILE_GROUP_MOD,
             Settings.RESTORE_SIZE_ON
         ];
 
@@ -280,7 +321,8 @@ const PrefsWidget = GObject.registerClass({
                 rowNames: [
                     'edge_tiling_row',
                     'split_tiles_row',
-                    'favorite_layout_row'
+                    'favorite_layout_row',
+                    'snap_zones_row'
                 ]
             }
         ];
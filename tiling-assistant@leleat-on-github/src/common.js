@@ -13,6 +13,8 @@ var Settings = class Settings {
     static ENABLE_TILING_POPUP = 'enable-tiling-popup';
     static POPUP_ALL_WORKSPACES = 'tiling-popup-all-workspace';
     static RAISE_TILE_GROUPS = 'enable-raise-tile-group';
+    static MINIMIZE_TILE_GROUPS = 'enable-minimize-tile-group';
+    static ENABLE_AUTO_TILING = 'enable-auto-tiling';
     static WINDOW_GAP = 'window-gap';
     static SCREEN_GAP = 'screen-gap';
     static MAXIMIZE_WITH_GAPS = 'maximize-with-gap';
@@ -23,15 +25,24 @@ var Settings = class Settings {
     static ENABLE_TILE_ANIMATIONS = 'enable-tile-animations';
     static ENABLE_UNTILE_ANIMATIONS = 'enable-untile-animations';
     static FAVORITE_LAYOUT = 'favorite-layout';
+    static LAYOUTS_REUSE_WINDOWS = 'layouts-reuse-open-windows';
+    static LAYOUT_EDITOR_GRID = 'layout-editor-grid';
     static DEFAULT_MOVE_MODE = 'default-move-mode';
     static SPLIT_TILE_MOD = 'move-split-tiles-mod';
     static FAVORITE_LAYOUT_MOD = 'move-favorite-layout-mod';
+    static SNAP_ZONES_MOD = 'move-snap-zones-mod';
+    static MOVE_TILE_GROUP_MOD = 'move-tile-group-mod';
     static VERTICAL_PREVIEW_AREA = 'vertical-preview-area';
     static HORIZONTAL_PREVIEW_AREA = 'horizontal-preview-area';
     static INVERSE_TOP_MAXIMIZE_TIMER = 'toggle-maximize-tophalf-timer';
     static ENABLE_HOLD_INVERSE_LANDSCAPE = 'enable-hold-maximize-inverse-landscape';
     static ENABLE_HOLD_INVERSE_PORTRAIT = 'enable-hold-maximize-inverse-portrait';
+    static SNAP_LAYOUT_MENU = 'enable-snap-layout-menu';
+    static SWAP_ON_DROP = 'enable-swap-on-drop';
+    static KEYBOARD_MOVE_ZONES = 'enable-keyboard-move-zones';
     static RESTORE_SIZE_ON = 'restore-window-size-on';
+    static TILE_EDITING_MODE_KEYS = 'tile-editing-mode-keys';
+    static TILE_EDITING_MODE_LEGEND = 'tile-editing-mode-show-legend';
 
     static initialize() {
         const ExtensionUtils = imports.misc.extensionUtils;
@@ -68,6 +79,8 @@ var Settings = class Settings {
             this.ENABLE_TILING_POPUP,
             this.POPUP_ALL_WORKSPACES,
             this.RAISE_TILE_GROUPS,
+            this.MINIMIZE_TILE_GROUPS,
+            this.ENABLE_AUTO_TILING,
             this.WINDOW_GAP,
             this.SCREEN_GAP,
             this.MAXIMIZE_WITH_GAPS,
@@ -78,15 +91,24 @@ var Settings = class Settings {
             this.ENABLE_TILE_ANIMATIONS,
             this.ENABLE_UNTILE_ANIMATIONS,
             this.FAVORITE_LAYOUT,
+            this.LAYOUTS_REUSE_WINDOWS,
+            this.LAYOUT_EDITOR_GRID,
             this.DEFAULT_MOVE_MODE,
             this.SPLIT_TILE_MOD,
             this.FAVORITE_LAYOUT_MOD,
+            this.SNAP_ZONES_MOD,
+            this.MOVE_TILE_GROUP_MOD,
             this.VERTICAL_PREVIEW_AREA,
             this.HORIZONTAL_PREVIEW_AREA,
             this.INVERSE_TOP_MAXIMIZE_TIMER,
             this.ENABLE_HOLD_INVERSE_LANDSCAPE,
             this.ENABLE_HOLD_INVERSE_PORTRAIT,
-            this.RESTORE_SIZE_ON
+            this.SNAP_LAYOUT_MENU,
+            this.SWAP_ON_DROP,
+            this.KEYBOARD_MOVE_ZONES,
+            this.RESTORE_SIZE_ON,
+            this.TILE_EDITING_MODE_KEYS,
+            this.TILE_EDITING_MODE_LEGEND
         ];
     }
 
@@ -114,6 +136,10 @@ var Settings = class Settings {
         return this._settings.get_boolean(key);
     }
 
+    static getValue(key) {
+        return this._settings.get_value(key).deepUnpack();
+    }
+
     /**
      * Setters
      */
@@ -147,6 +173,17 @@ var Shortcuts = class Shortcuts {
     static TOGGLE_POPUP = 'toggle-tiling-popup';
     static EDIT_MODE = 'tile-edit-mode';
     static AUTO_FILL = 'auto-tile';
+    static UNDO = 'undo-tiling';
+    static REDO = 'redo-tiling';
+    static ROTATE_TILE_GROUP = 'rotate-tile-group';
+    static MIRROR_TILE_GROUP_H = 'mirror-tile-group-horizontally';
+    static MIRROR_TILE_GROUP_V = 'mirror-tile-group-vertically';
+    static BALANCE_TILE_GROUP = 'balance-tile-group';
+    static MOVE_TILE_GROUP_NEXT_MONITOR = 'move-tile-group-to-next-monitor';
+    static MOVE_TILE_GROUP_PREV_MONITOR = 'move-tile-group-to-previous-monitor';
+    static MOVE_TILE_GROUP_NEXT_WORKSPACE = 'move-tile-group-to-next-workspace';
+    static MOVE_TILE_GROUP_PREV_WORKSPACE = 'move-tile-group-to-previous-workspace';
+    static CLOSE_TILE_GROUP = 'close-tile-group';
     static MAXIMIZE = 'tile-maximize';
     static TOP = 'tile-top-half';
     static BOTTOM = 'tile-bottom-half';
@@ -168,6 +205,17 @@ var Shortcuts = class Shortcuts {
             this.TOGGLE_POPUP,
             this.EDIT_MODE,
             this.AUTO_FILL,
+            this.UNDO,
+            this.REDO,
+            this.ROTATE_TILE_GROUP,
+            this.MIRROR_TILE_GROUP_H,
+            this.MIRROR_TILE_GROUP_V,
+            this.BALANCE_TILE_GROUP,
+            this.MOVE_TILE_GROUP_NEXT_MONITOR,
+            this.MOVE_TILE_GROUP_PREV_MONITOR,
+            this.MOVE_TILE_GROUP_NEXT_WORKSPACE,
+            this.MOVE_TILE_GROUP_PREV_WORKSPACE,
+            this.CLOSE_TILE_GROUP,
             this.MAXIMIZE,
             this.TOP,
             this.BOTTOM,
@@ -207,6 +255,59 @@ var MoveModes = class MovePreviewActivator {
     static EDGE_TILING = 'Edge Tiling';
     static SPLIT_TILES = 'Split Tiles';
     static FAVORITE_LAYOUT = 'Favorite Layout';
+    static SNAP_ZONES = 'Snap Zones';
+};
+
+var WindowRuleActions = class WindowRuleActions {
+    static TILE = 'tile';
+    static FLOAT = 'float';
+    static NO_POPUP = 'noPopup';
+    static IGNORE = 'ignore';
+};
+
+/**
+ * The actions of the Tile Editing Mode, which can be mapped to keys with the
+ * Settings.TILE_EDITING_MODE_KEYS setting. The mode actions are mapped to
+ * modifiers. Holding them activates the mode.
+ */
+var TileEditingModeActions = class TileEditingModeActions {
+    static FOCUS_UP = 'focus-up';
+    static FOCUS_DOWN = 'focus-down';
+    static FOCUS_LEFT = 'focus-left';
+    static FOCUS_RIGHT = 'focus-right';
+    static EXPAND = 'expand';
+    static CYCLE = 'cycle';
+    static QUIT = 'quit';
+    static RESTORE = 'restore';
+    static ROTATE = 'rotate';
+    static MIRROR_HORIZONTALLY = 'mirror-horizontally';
+    static MIRROR_VERTICALLY = 'mirror-vertically';
+    static BALANCE = 'balance';
+    static SPLIT_VERTICALLY = 'split-vertically';
+    static SPLIT_HORIZONTALLY = 'split-horizontally';
+    static SPLIT_VERTICALLY_THIRDS = 'split-vertically-thirds';
+    static SPLIT_HORIZONTALLY_THIRDS = 'split-horizontally-thirds';
+    static NEXT_TAB = 'next-tab';
+    static PREVIOUS_TAB = 'previous-tab';
+    static CLOSE = 'close';
+    static ACTIVATE = 'activate';
+    static TOGGLE_LEGEND = 'toggle-legend';
+    static SWAP_MODE = 'swap-mode';
+    static RESIZE_MODE = 'resize-mode';
+
+    // The modifiers, which the modes can be mapped to.
+    static MODIFIERS = ['Control', 'Alt', 'Super', 'Shift'];
+
+    static isMode(action) {
+        return action === this.SWAP_MODE || action === this.RESIZE_MODE;
+    }
+};
+
+var TileGroupTransforms = class TileGroupTransforms {
+    static ROTATE = 'rotate';
+    static MIRROR_HORIZONTALLY = 'mirror-horizontally';
+    static MIRROR_VERTICALLY = 'mirror-vertically';
+    static BALANCE = 'balance';
 };
 
 var Orientation = class Orientation {
@@ -244,6 +345,8 @@ var Layout = class Layout {
     constructor(layout = null) {
         this._name = layout?._name ?? '';
         this._items = layout?._items ?? [];
+        this._workspaces = layout?._workspaces ?? [];
+        this._zoneMonitors = layout?._zoneMonitors ?? [];
     }
 
     /**
@@ -260,6 +363,36 @@ var Layout = class Layout {
         this._name = name;
     }
 
+    /**
+     * @returns {number[]} the indices of the workspaces, which use this
+     *      layout as their 'Favorite Layout'.
+     */
+    getWorkspaces() {
+        return this._workspaces;
+    }
+
+    /**
+     * @param {number[]} workspaces
+     */
+    setWorkspaces(workspaces) {
+        this._workspaces = workspaces;
+    }
+
+    /**
+     * @returns {Array<number|string>} the monitors (indices or connector
+     *      names), which use this layout's rects as their snap zones.
+     */
+    getZoneMonitors() {
+        return this._zoneMonitors;
+    }
+
+    /**
+     * @param {Array<number|string>} monitors
+     */
+    setZoneMonitors(monitors) {
+        this._zoneMonitors = monitors;
+    }
+
     /**
      * @param {number} index
      * @returns {LayoutItem}
@@ -313,15 +446,35 @@ var Layout = class Layout {
             : this._items.length;
     }
 
+    /**
+     * @returns {Map<number|string|null, LayoutItem[]>} the (non-empty) items
+     *      grouped by their monitor in the order of their first appearance.
+     */
+    getItemsByMonitor() {
+        const groups = new Map();
+        this.getItems().forEach(item => {
+            const monitor = item.monitor ?? null;
+            groups.has(monitor)
+                ? groups.get(monitor).push(item)
+                : groups.set(monitor, [item]);
+        });
+
+        return groups;
+    }
+
     /**
      * @returns {[boolean, string]} wether the layout has valid rects and
      *      a potential error message.
      */
     validate() {
-        const rects = this.getItems().map(i => i.rect);
+        const items = this.getItems();
+        const rects = items.map(i => i.rect);
         if (!rects.length)
             return [false, 'No valid rectangles defined.', -1];
 
+        // The ratios are floats, so allow for tiny rounding errors. For ex.,
+        // 2 / 3 + 1 / 3 may not be exactly 1.
+        const epsilon = 1e-9;
         const getOverlapArea = (r1, r2) => {
             return Math.max(0, Math.min(r1.x + r1.width, r2.x + r2.width) - Math.max(r1.x, r2.x)) *
                     Math.max(0, Math.min(r1.y + r1.height, r2.y + r2.height) - Math.max(r1.y, r2.y));
@@ -336,11 +489,23 @@ var Layout = class Layout {
             if (rect.height <= 0 || rect.height > 1)
                 return [false, `Rectangle ${i} has an invalid height.`, i];
 
-            if (rect.x < 0 || rect.y < 0 || rect.x + rect.width > 1 || rect.y + rect.height > 1)
+            if (rect.x < 0 || rect.y < 0 ||
+                    rect.x + rect.width > 1 + epsilon || rect.y + rect.height > 1 + epsilon)
                 return [false, `Rectangle ${i} extends beyond the screen.`, i];
 
+            const monitor = items[i].monitor ?? null;
+            const validMonitor = monitor === null ||
+                    Number.isInteger(monitor) && monitor >= 0 ||
+                    typeof monitor === 'string' && monitor.length > 0;
+            if (!validMonitor)
+                return [false, `Rectangle ${i} has an invalid monitor.`, i];
+
+            // Rects only overlap, if they are on the same monitor.
             for (let j = i + 1; j < rects.length; j++) {
-                if (getOverlapArea(rect, rects[j]) !== 0)
+                if (monitor !== (items[j].monitor ?? null))
+                    continue;
+
+                if (getOverlapArea(rect, rects[j]) > epsilon)
                     return [false, `Rectangles ${i} and ${j} overlap.`, j];
             }
         }
@@ -354,5 +519,9 @@ var LayoutItem = class LayoutItem {
         this.rect = {};
         this.appId = null;
         this.loopType = null;
+        // The monitor the rect is on: a monitor index, a connector name (e. g.
+        // 'HDMI-1'), 'primary', 'other' (i. e. not the primary monitor) or
+        // null for the current monitor.
+        this.monitor = null;
     }
 };
@@ -0,0 +1,200 @@
+'use strict';
+
+const { GLib, Meta } = imports.gi;
+
+const ExtensionUtils = imports.misc.extensionUtils;
+const Me = ExtensionUtils.getCurrentExtension();
+
+const { Orientation, Settings, WindowRuleActions } = Me.imports.src.common;
+const Rect = Me.imports.src.extension.geometry.Rect;
+const Util = Me.imports.src.extension.utility.Util;
+
+/**
+ * This class implements the (opt-in) auto tiling. New windows are inserted
+ * into the top tile group of their monitor. If there is free screen space,
+ * they will fill it. Otherwise the focused tile (or the largest tile, if the
+ * focused window isn't part of the group) is split in half. When a tiled
+ * window is closed, its neighbours grow back into the freed space. If the
+ * tile group is backed by a TileTree, the splitting and growing is done on
+ * the tree.
+ */
+
+var Handler = class AutoTilingHandler {
+    constructor() {
+        this._windowCreatedId = global.display.connect('window-created',
+            this._onWindowCreated.bind(this));
+        this._unmanagedId = Util.connectToTileGroupManager('tiled-window-unmanaged',
+            this._onTiledWindowUnmanaged.bind(this));
+        // The closed windows, whose space is given to their tile groups once
+        // the main loop is idle: [{ tileGroup, freedRect, monitor }, ...]
+        this._freedSpaces = [];
+        this._idleId = 0;
+    }
+
+    destroy() {
+        global.display.disconnect(this._windowCreatedId);
+        Util.disconnectFromTileGroupManager(this._unmanagedId);
+
+        if (this._idleId) {
+            GLib.source_remove(this._idleId);
+            this._idleId = 0;
+        }
+
+        this._freedSpaces = [];
+    }
+
+    _onWindowCreated(display, window) {
+        if (!Settings.getBoolean(Settings.ENABLE_AUTO_TILING))
+            return;
+
+        if (window.get_window_type() !== Meta.WindowType.NORMAL ||
+                window.get_transient_for())
+            return;
+
+        const wActor = window.get_compositor_private();
+        if (!wActor)
+            return;
+
+        // The new window isn't focused yet. So remember the focused window
+        // now so that we can split its tile once the new window is shown.
+        const focusedWindow = global.display.focus_window;
+        const firstFrameId = wActor.connect('first-frame', () => {
+            wActor.disconnect(firstFrameId);
+            this._insertIntoTileGroup(window, focusedWindow);
+        });
+    }
+
+    /**
+     * @param {Meta.Window} window the new Meta.Window.
+     * @param {Meta.Window|null} focusedWindow the Meta.Window, which had
+     *      the focus when `window` was created.
+     */
+    _insertIntoTileGroup(window, focusedWindow) {
+        // The window may have already been tiled by a window rule.
+        if (window.isTiled || window.is_skip_taskbar())
+            return;
+
+        if (!window.allows_move() || !window.allows_resize())
+            return;
+
+        if (Util.hasWindowRule(window, WindowRuleActions.FLOAT) ||
+                Util.hasWindowRule(window, WindowRuleActions.IGNORE))
+            return;
+
+        const activeWs = global.workspace_manager.get_active_workspace();
+        if (window.get_workspace() !== activeWs)
+            return;
+
+        const monitor = window.get_monitor();
+        const isTopWindow = Util.getWindows()[0] === window;
+        const tileGroup = Util.getTopTileGroup(isTopWindow, monitor)
+            .filter(w => w !== window);
+        if (!tileGroup.length)
+            return;
+
+        // Fill the free screen space, if there is any...
+        const tRects = tileGroup.map(w => w.tiledRect);
+        const workArea = new Rect(window.get_work_area_for_monitor(monitor));
+        if (workArea.minus(tRects).length) {
+            const freeRect = Util.getBestFreeRect(tRects, null, null, monitor);
+            Util.tile(window, freeRect, { openTilingPopup: false });
+            return;
+        }
+
+        // ... otherwise split the focused or the largest tile.
+        const splitWindow = tileGroup.includes(focusedWindow)
+            ? focusedWindow
+            : tileGroup.reduce((largest, w) => {
+                return w.tiledRect.area > largest.tiledRect.area ? w : largest;
+            });
+        const rect = splitWindow.tiledRect;
+        const orientation = rect.width >= rect.height ? Orientation.V : Orientation.H;
+
+        const tileTree = Util.getTileTreeFor(splitWindow)?.clone();
+        const splitLeaf = tileTree?.getLeafFor(splitWindow);
+        if (splitLeaf) {
+            const newLeaf = tileTree.splitLeaf(splitLeaf, orientation, window);
+            Util.tile(splitWindow, splitLeaf.rect, { openTilingPopup: false, tileTree });
+            Util.tile(window, newLeaf.rect, { openTilingPopup: false, tileTree });
+            return;
+        }
+
+        const size = orientation === Orientation.V ? rect.width : rect.height;
+        const splitRect = rect.getUnitAt(0, size / 2, orientation);
+        const newRect = rect.minus(splitRect)[0];
+
+        Util.tile(splitWindow, splitRect, { openTilingPopup: false });
+        Util.tile(window, newRect, { openTilingPopup: false });
+    }
+
+    /**
+     * @param {TileGroupManager} tileGroupManager
+     * @param {Meta.Window} window the closed Meta.Window.
+     * @param {Meta.Window[]} tileGroup the remaining windows of `window`'s
+     *      tile group.
+     */
+    _onTiledWindowUnmanaged(tileGroupManager, window, tileGroup) {
+        if (!Settings.getBoolean(Settings.ENABLE_AUTO_TILING) || !tileGroup.length)
+            return;
+
+        // getBestFreeRect() works on the active workspace.
+        const activeWs = global.workspace_manager.get_active_workspace();
+        const monitor = tileGroup[0].get_monitor();
+        if (tileGroup.some(w => w.get_workspace() !== activeWs || w.get_monitor() !== monitor))
+            return;
+
+        // Wait until the closed window is fully gone. Otherwise it may still
+        // be considered a part of the top tile group when re-tiling. Multiple
+        // windows may be closed at once (e. g. a whole tile group), so the
+        // freed spaces are queued.
+        this._freedSpaces.push({ tileGroup, freedRect: window.tiledRect, monitor });
+        if (this._idleId)
+            return;
+
+        this._idleId = GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+            this._idleId = 0;
+            const freedSpaces = this._freedSpaces;
+            this._freedSpaces = [];
+            freedSpaces.forEach(f => {
+                this._growIntoFreedSpace(f.tileGroup, f.freedRect, f.monitor);
+            });
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    /**
+     * @param {Meta.Window[]} tileGroup the windows, which may grow.
+     * @param {Rect} freedRect the tiledRect of the closed window.
+     * @param {number} monitor the index of the tile group's monitor.
+     */
+    _growIntoFreedSpace(tileGroup, freedRect, monitor) {
+        // The freed spot may have been taken over already, e. g. by the next
+        // tab of a tab group.
+        if (freedRect && Util.getTopTileGroup(false, monitor).some(w => w.tiledRect.equal(freedRect)))
+            return;
+
+        tileGroup = tileGroup.filter(w => w.get_compositor_private() && w.isTiled);
+
+        // Remove the freed spot from the tree. Its siblings take its space.
+        const tileTree = tileGroup.length && Util.getTileTreeFor(tileGroup[0])?.clone();
+        const freedLeaf = freedRect &&
+            tileTree?.getLeaves().find(l => !l.window && l.rect.equal(freedRect));
+        if (freedLeaf && tileTree.hasExactly(tileGroup)) {
+            tileTree.removeLeaf(freedLeaf);
+            tileGroup.forEach(w => {
+                const rect = tileTree.getRectFor(w);
+                if (!rect.equal(w.tiledRect))
+                    Util.tile(w, rect, { openTilingPopup: false, skipAnim: true, tileTree });
+            });
+
+            return;
+        }
+
+        tileGroup.forEach(window => {
+            const tRects = tileGroup.map(w => w.tiledRect);
+            const expandedRect = Util.getBestFreeRect(tRects, window.tiledRect, null, monitor);
+            if (!expandedRect.equal(window.tiledRect))
+                Util.tile(window, expandedRect, { openTilingPopup: false, skipAnim: true });
+        });
+    }
+};
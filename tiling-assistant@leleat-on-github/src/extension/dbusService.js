@@ -0,0 +1,191 @@
+'use strict';
+
+const { Gio, GLib } = imports.gi;
+const ByteArray = imports.byteArray;
+
+const ExtensionUtils = imports.misc.extensionUtils;
+const Me = ExtensionUtils.getCurrentExtension();
+
+const Rect = Me.imports.src.extension.geometry.Rect;
+const Util = Me.imports.src.extension.utility.Util;
+
+var BUS_NAME = 'org.gnome.Shell.Extensions.TilingAssistant';
+var OBJECT_PATH = '/org/gnome/Shell/Extensions/TilingAssistant';
+
+/**
+ * This class exports the org.gnome.Shell.Extensions.TilingAssistant D-Bus
+ * interface so that the tiling actions can be scripted. The interface is
+ * described in src/dbus/org.gnome.Shell.Extensions.TilingAssistant.xml.
+ * For example:
+ *
+ * gdbus call --session --dest org.gnome.Shell.Extensions.TilingAssistant \
+ *     --object-path /org/gnome/Shell/Extensions/TilingAssistant \
+ *     --method org.gnome.Shell.Extensions.TilingAssistant.TileWindow \
+ *     0 0 0 960 1080
+ *
+ * The service is exported on the connection passed to the constructor. By
+ * default that is the session bus but tests may pass a connection to a
+ * private bus (e. g. one started with `dbus-run-session`) instead.
+ */
+
+var Service = class TilingDBusService {
+    /**
+     * @param {TilingKeybindingHandler} keybindingHandler used to run the
+     *      actions of the shortcuts.
+     * @param {TilingLayoutsManager} layoutsManager used to activate layouts.
+     * @param {Gio.DBusConnection} [connection=Gio.DBus.session] the connection
+     *      to export the interface on.
+     */
+    constructor(keybindingHandler, layoutsManager, connection = Gio.DBus.session) {
+        this._keybindingHandler = keybindingHandler;
+        this._layoutsManager = layoutsManager;
+        this._emitIdleId = 0;
+
+        this._dbusImpl = Gio.DBusExportedObject.wrapJSObject(loadInterfaceXML(), this);
+        this._dbusImpl.export(connection, OBJECT_PATH);
+        this._ownerId = Gio.bus_own_name_on_connection(connection, BUS_NAME,
+            Gio.BusNameOwnerFlags.NONE, null, null);
+
+        this._tileGroupsChangedId = Util.connectToTileGroupManager(
+            'tile-groups-changed', this._onTileGroupsChanged.bind(this));
+    }
+
+    destroy() {
+        Util.disconnectFromTileGroupManager(this._tileGroupsChangedId);
+
+        if (this._emitIdleId) {
+            GLib.source_remove(this._emitIdleId);
+            this._emitIdleId = 0;
+        }
+
+        Gio.bus_unown_name(this._ownerId);
+        this._dbusImpl.unexport();
+        this._dbusImpl = null;
+        this._keybindingHandler = null;
+        this._layoutsManager = null;
+    }
+
+    /**
+     * D-Bus methods
+     */
+
+    TileWindow(windowId, x, y, width, height) {
+        const window = this._getWindow(windowId);
+        if (!window || width <= 0 || height <= 0)
+            return false;
+
+        const rect = new Rect(x, y, width, height);
+        Util.tile(window, rect, { openTilingPopup: false });
+        return !!window.isTiled && window.tiledRect.equal(rect);
+    }
+
+    Untile(windowId) {
+        const window = this._getWindow(windowId);
+        if (!window || !window.isTiled && !Util.isMaximized(window))
+            return false;
+
+        Util.untile(window);
+        return true;
+    }
+
+    ActivateShortcut(shortcutName) {
+        // The layout searches are bound by the LayoutManager.
+        if (shortcutName === 'search-popup-layout') {
+            this._layoutsManager.openPopupSearch();
+            return true;
+        } else if (shortcutName === 'change-favorite-layout') {
+            this._layoutsManager.openFavoriteSearch();
+            return true;
+        }
+
+        return this._keybindingHandler.activateShortcut(shortcutName);
+    }
+
+    ActivateLayout(name) {
+        const index = Util.getLayouts().findIndex(l => l._name === name);
+        if (index === -1)
+            return false;
+
+        this._layoutsManager.startLayouting(index);
+        return true;
+    }
+
+    GetLayouts() {
+        return Util.getLayouts().map(l => l._name ?? '');
+    }
+
+    SaveLayout(name) {
+        return !!this._layoutsManager.saveLayout(name);
+    }
+
+    CaptureLayout() {
+        const layout = this._layoutsManager.captureLayout('');
+        return layout ? JSON.stringify(layout) : '';
+    }
+
+    GetTileGroups() {
+        return this._getTileGroups();
+    }
+
+    GetWindows() {
+        return Util.getWindows(true).map(w => {
+            return [w.get_id(), w.get_wm_class() ?? '', w.get_title() ?? ''];
+        });
+    }
+
+    EnterTileEditingMode() {
+        const TileEditingMode = Me.imports.src.extension.tileEditingMode;
+        const tileEditor = new TileEditingMode.TileEditor();
+        tileEditor.open();
+    }
+
+    /**
+     * @param {number} windowId the id of a Meta.Window or 0 for the focused
+     *      window.
+     * @returns {Meta.Window|null}
+     */
+    _getWindow(windowId) {
+        if (windowId === 0)
+            return global.display.focus_window;
+
+        return Util.getWindows(true).find(w => w.get_id() === windowId) ?? null;
+    }
+
+    /**
+     * @returns {number[][]} the tile groups as arrays of window ids. The
+     *      TileGroupManager maps every tiled window to its group, so the same
+     *      group appears multiple times in its map.
+     */
+    _getTileGroups() {
+        const tileGroups = new Map();
+        Util.getTileGroups().forEach(tileGroup => {
+            const ids = [...tileGroup].sort((a, b) => a - b);
+            tileGroups.set(ids.join(','), ids);
+        });
+
+        return [...tileGroups.values()];
+    }
+
+    _onTileGroupsChanged() {
+        // Re-tiling a group updates it once per window. Only emit the final
+        // state.
+        if (this._emitIdleId)
+            return;
+
+        this._emitIdleId = GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+            this._emitIdleId = 0;
+            const tileGroups = new GLib.Variant('(aat)', [this._getTileGroups()]);
+            this._dbusImpl.emit_signal('TileGroupChanged', tileGroups);
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+};
+
+/**
+ * @returns {string} the introspection XML of the D-Bus interface.
+ */
+function loadInterfaceXML() {
+    const path = GLib.build_filenamev([Me.path, 'src', 'dbus', `${BUS_NAME}.xml`]);
+    const [, contents] = GLib.file_get_contents(path);
+    return ByteArray.toString(contents);
+}
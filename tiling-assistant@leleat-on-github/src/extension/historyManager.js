@@ -0,0 +1,278 @@
+'use strict';
+
+const { GLib, Meta } = imports.gi;
+
+const ExtensionUtils = imports.misc.extensionUtils;
+const Me = ExtensionUtils.getCurrentExtension();
+
+const Rect = Me.imports.src.extension.geometry.Rect;
+
+const MAX_ENTRIES = 50;
+
+/**
+ * Helper class for Util:
+ * This class records the changes of the tiling state to undo and redo them.
+ * A history entry is started by the first change (e. g. a Util.tile() call)
+ * and it stays open until the main loop is idle again. That way, an action,
+ * which re-tiles multiple windows, can be undone in one step. If a window
+ * is being grabbed, the entry is kept open until the grab ended. So moving
+ * a tiled window and dropping it on a new spot is also one step. Handlers,
+ * which span multiple key presses (like the Tile Editing Mode's swap and
+ * resize modes), hold the entry open explicitly with start() and finish().
+ *
+ * An entry only contains the windows, which changed. Entries with windows,
+ * which were closed in the meantime, are skipped.
+ */
+
+var Manager = class TilingHistoryManager {
+    constructor() {
+        this._undoStack = [];
+        this._redoStack = [];
+        // The window states at the start of the open entry:
+        // { window1: state1, window2: state2, ... }. See _getState().
+        this._openEntry = null;
+        this._holdCount = 0;
+        this._idleId = 0;
+        this._grabEndId = 0;
+        this._isRestoring = false;
+    }
+
+    destroy() {
+        this._idleId && GLib.source_remove(this._idleId);
+        this._idleId = 0;
+        this._grabEndId && global.display.disconnect(this._grabEndId);
+        this._grabEndId = 0;
+
+        this._undoStack = [];
+        this._redoStack = [];
+        this._openEntry = null;
+    }
+
+    /**
+     * Records the current tiling state, if there is no open entry yet. Call
+     * this before the tiling state is changed.
+     */
+    record() {
+        if (this._isRestoring)
+            return;
+
+        if (!this._openEntry)
+            this._openEntry = this._getStates();
+
+        this._queueFinish();
+    }
+
+    /**
+     * Starts or joins an entry and keeps it open until finish() is called.
+     */
+    start() {
+        this.record();
+        this._holdCount++;
+    }
+
+    /**
+     * Releases an entry, which was started with start().
+     */
+    finish() {
+        this._holdCount = Math.max(this._holdCount - 1, 0);
+        this._queueFinish();
+    }
+
+    /**
+     * Restores the tiling state before the last entry.
+     *
+     * @returns {boolean} wether there was an entry to undo.
+     */
+    undo() {
+        return this._restore(this._undoStack, this._redoStack, 'before');
+    }
+
+    /**
+     * Restores the tiling state after the last undone entry.
+     *
+     * @returns {boolean} wether there was an entry to redo.
+     */
+    redo() {
+        return this._restore(this._redoStack, this._undoStack, 'after');
+    }
+
+    _queueFinish() {
+        if (this._idleId || !this._openEntry)
+            return;
+
+        this._idleId = GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+            this._idleId = 0;
+            this._tryFinishEntry();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    _tryFinishEntry() {
+        if (!this._openEntry || this._holdCount)
+            return;
+
+        // Wait for window grabs (e. g. dragging a window) to end.
+        const grabOp = global.display.get_grab_op();
+        if (grabOp & Meta.GrabOp.WINDOW_BASE) {
+            if (!this._grabEndId) {
+                this._grabEndId = global.display.connect('grab-op-end', () => {
+                    global.display.disconnect(this._grabEndId);
+                    this._grabEndId = 0;
+                    // The handlers of the grab end may still change the
+                    // tiling state.
+                    this._queueFinish();
+                });
+            }
+
+            return;
+        }
+
+        const before = this._openEntry;
+        const after = this._getStates();
+        this._openEntry = null;
+
+        const entry = { before: new Map(), after: new Map() };
+        after.forEach((state, window) => {
+            const oldState = before.get(window);
+            if (oldState && !this._isSameState(oldState, state)) {
+                entry.before.set(window, oldState);
+                entry.after.set(window, state);
+            }
+        });
+
+        if (!entry.before.size)
+            return;
+
+        this._undoStack.push(entry);
+        this._undoStack.length > MAX_ENTRIES && this._undoStack.shift();
+        this._redoStack = [];
+    }
+
+    /**
+     * @param {object[]} fromStack the stack to take the entry from.
+     * @param {object[]} toStack the stack to move the entry to.
+     * @param {string} side the side of the entry to restore ('before' or
+     *      'after').
+     * @returns {boolean} wether an entry was restored.
+     */
+    _restore(fromStack, toStack, side) {
+        // Finish an open entry first, so it can be undone as well.
+        if (this._openEntry && !this._holdCount) {
+            this._idleId && GLib.source_remove(this._idleId);
+            this._idleId = 0;
+            this._tryFinishEntry();
+        }
+
+        let entry;
+        while ((entry = fromStack.pop())) {
+            const windows = [...entry.before.keys()];
+            if (windows.every(w => this._isAlive(w)))
+                break;
+        }
+
+        if (!entry)
+            return false;
+
+        this._isRestoring = true;
+        this._applyStates(entry[side]);
+        this._isRestoring = false;
+
+        toStack.push(entry);
+        return true;
+    }
+
+    /**
+     * @param {Map<Meta.Window, object>} states
+     */
+    _applyStates(states) {
+        const Util = Me.imports.src.extension.utility.Util;
+
+        states.forEach((state, window) => {
+            const monitor = state.tiledRect
+                ? global.display.get_monitor_index_for_rect(state.tiledRect.meta)
+                : window.get_monitor();
+            const workArea = new Rect(window.get_work_area_for_monitor(monitor));
+
+            if (state.tiledRect) {
+                Util.tile(window, state.tiledRect, { openTilingPopup: false, skipAnim: true });
+            } else if (state.maximized === Meta.MaximizeFlags.BOTH) {
+                Util.tile(window, workArea, { openTilingPopup: false, skipAnim: true });
+            } else {
+                Util.removeTab(window);
+                Util.dissolveTileGroup(window.get_id());
+                window.isTiled = false;
+                window.tiledRect = null;
+
+                const maximized = window.get_maximized();
+                maximized && window.unmaximize(maximized);
+
+                const { x, y, width, height } = state.frameRect;
+                window.move_resize_frame(false, x, y, width, height);
+            }
+
+            window.untiledRect = state.untiledRect?.copy() ?? null;
+        });
+
+        // Util.tile() groups the windows based on the stacking order. So
+        // restore the exact tile groups afterwards.
+        const tileGroups = new Set();
+        states.forEach(state => state.tileGroup && tileGroups.add(state.tileGroup));
+        tileGroups.forEach(tileGroup => {
+            const windows = tileGroup.filter(w => this._isAlive(w) && w.isTiled);
+            windows.forEach(w => Util.dissolveTileGroup(w.get_id()));
+            windows.length && Util.updateTileGroup(windows);
+        });
+    }
+
+    /**
+     * @returns {Map<Meta.Window, object>} the tiling states of all windows.
+     */
+    _getStates() {
+        const Util = Me.imports.src.extension.utility.Util;
+        const tileGroups = Util.getTileGroups();
+        // Windows of the same group share the same array.
+        const groupCache = new Map();
+        const windows = Util.getWindows(true);
+
+        return new Map(windows.map(window => {
+            const groupIds = tileGroups.get(window.get_id());
+            const groupKey = groupIds && [...groupIds].sort((a, b) => a - b).join(',');
+            if (groupKey && !groupCache.has(groupKey))
+                groupCache.set(groupKey, windows.filter(w => groupIds.includes(w.get_id())));
+
+            return [window, this._getState(window, groupKey ? groupCache.get(groupKey) : null)];
+        }));
+    }
+
+    /**
+     * @param {Meta.Window} window
+     * @param {Meta.Window[]|null} tileGroup the tile group of `window`.
+     * @returns {object} the tiling state of `window`.
+     */
+    _getState(window, tileGroup) {
+        return {
+            isTiled: !!window.isTiled,
+            tiledRect: window.tiledRect?.copy() ?? null,
+            untiledRect: window.untiledRect?.copy() ?? null,
+            frameRect: new Rect(window.get_frame_rect()),
+            maximized: window.get_maximized(),
+            tileGroup
+        };
+    }
+
+    _isSameState(state1, state2) {
+        const equalRects = (r1, r2) => r1 === r2 || !!r1 && !!r2 && r1.equal(r2);
+        const groupIds = state => state.tileGroup?.map(w => w.get_id()).sort().join(',');
+
+        return state1.isTiled === state2.isTiled &&
+            state1.maximized === state2.maximized &&
+            equalRects(state1.tiledRect, state2.tiledRect) &&
+            groupIds(state1) === groupIds(state2) &&
+            // The frame of a tiled window may be adjusted by the app itself.
+            (!!state1.tiledRect || state1.frameRect.equal(state2.frameRect));
+    }
+
+    _isAlive(window) {
+        return !!window.get_compositor_private();
+    }
+};
@@ -6,7 +6,8 @@ const Main = imports.ui.main;
 const ExtensionUtils = imports.misc.extensionUtils;
 const Me = ExtensionUtils.getCurrentExtension();
 
-const { Direction, DynamicKeybindings, Settings, Shortcuts } = Me.imports.src.common;
+const { Direction, DynamicKeybindings, Settings, Shortcuts, TileGroupTransforms } =
+    Me.imports.src.common;
 const Rect = Me.imports.src.extension.geometry.Rect;
 const Util = Me.imports.src.extension.utility.Util;
 
@@ -14,6 +15,21 @@ const Gettext = imports.gettext;
 const Domain = Gettext.domain(Me.metadata.uuid);
 const _ = Domain.gettext;
 
+const TILE_GROUP_TRANSFORMS = {
+    [Shortcuts.ROTATE_TILE_GROUP]: TileGroupTransforms.ROTATE,
+    [Shortcuts.MIRROR_TILE_GROUP_H]: TileGroupTransforms.MIRROR_HORIZONTALLY,
+    [Shortcuts.MIRROR_TILE_GROUP_V]: TileGroupTransforms.MIRROR_VERTICALLY,
+    [Shortcuts.BALANCE_TILE_GROUP]: TileGroupTransforms.BALANCE
+};
+
+// The steps to the monitor or workspace, which the tile group is moved to.
+const TILE_GROUP_MOVES = {
+    [Shortcuts.MOVE_TILE_GROUP_NEXT_MONITOR]: { monitorStep: 1 },
+    [Shortcuts.MOVE_TILE_GROUP_PREV_MONITOR]: { monitorStep: -1 },
+    [Shortcuts.MOVE_TILE_GROUP_NEXT_WORKSPACE]: { workspaceStep: 1 },
+    [Shortcuts.MOVE_TILE_GROUP_PREV_WORKSPACE]: { workspaceStep: -1 }
+};
+
 /**
  * Class to handle the keyboard shortcuts (on the extension side) except the
  * ones related to the Layouts. For those, see layoutsManager.js.
@@ -39,6 +55,21 @@ var Handler = class TilingKeybindingHandler {
         this._debuggingIndicators?.forEach(i => i.destroy());
     }
 
+    /**
+     * Runs the action of a shortcut as if its keybinding was pressed. This
+     * is used by the D-Bus service.
+     *
+     * @param {string} shortcutName one of Shortcuts.getAllKeys().
+     * @returns {boolean} wether `shortcutName` is a valid shortcut.
+     */
+    activateShortcut(shortcutName) {
+        if (!this._keyBindings.includes(shortcutName))
+            return false;
+
+        this._onCustomKeybindingPressed(shortcutName);
+        return true;
+    }
+
     /**
      * @param {string} shortcutName
      */
@@ -65,6 +96,26 @@ var Handler = class TilingKeybindingHandler {
                 ? _('Tiling popup enabled')
                 : _('Tiling popup was disabled'));
             return;
+
+        // Undo / redo the last change of the tiling state
+        } else if (shortcutName === Shortcuts.UNDO) {
+            Util.undo();
+            return;
+        } else if (shortcutName === Shortcuts.REDO) {
+            Util.redo();
+            return;
+
+        // Rotate, mirror or balance the top tile group
+        } else if (TILE_GROUP_TRANSFORMS[shortcutName]) {
+            const topTileGroup = Util.getTopTileGroup(false);
+            const tileGroup = topTileGroup.length ? Util.getTileGroupFor(topTileGroup[0]) : [];
+            if (!Util.transformTileGroup(tileGroup, TILE_GROUP_TRANSFORMS[shortcutName]) &&
+                    tileGroup.length) {
+                Main.notify('Tiling Assistant',
+                    _("Can't transform the layout of the tile group."));
+            }
+
+            return;
         }
 
         const window = global.display.focus_window;
@@ -83,6 +134,17 @@ var Handler = class TilingKeybindingHandler {
                 Util.toggleTiling(window, tileRect);
             }
 
+        // Move the window's tile group to another monitor or workspace
+        } else if (TILE_GROUP_MOVES[shortcutName]) {
+            this._moveTileGroup(window, TILE_GROUP_MOVES[shortcutName]);
+
+        // Close the window's tile group
+        } else if (shortcutName === Shortcuts.CLOSE_TILE_GROUP) {
+            // The inactive tabs aren't part of the tile group. Otherwise,
+            // they would take over the spots of the closed windows.
+            const tileGroup = this._getTileGroupFor(window).flatMap(w => Util.getTabs(w));
+            tileGroup.forEach(w => w.delete(global.get_current_time()));
+
         // Tile Editing Mode
         } else if (shortcutName === Shortcuts.EDIT_MODE) {
             const TileEditingMode = Me.imports.src.extension.tileEditingMode;
@@ -115,6 +177,51 @@ var Handler = class TilingKeybindingHandler {
         }
     }
 
+    /**
+     * @param {Meta.Window} window
+     * @returns {Meta.Window[]} the tile group of `window`. If the window
+     *      isn't part of one, the user is notified and the array is empty.
+     */
+    _getTileGroupFor(window) {
+        if (!window.isTiled || !Util.getTileGroups().has(window.get_id())) {
+            Main.notify('Tiling Assistant', _("The window isn't part of a tile group."));
+            return [];
+        }
+
+        return Util.getTileGroupFor(window);
+    }
+
+    /**
+     * Moves the tile group of `window` to a neighboring monitor or workspace.
+     * The monitors wrap around, the workspaces don't.
+     *
+     * @param {Meta.Window} window a tiled Meta.Window.
+     * @param {object} steps
+     * @param {number} [steps.monitorStep=0] the step to the new monitor.
+     * @param {number} [steps.workspaceStep=0] the step to the new workspace.
+     */
+    _moveTileGroup(window, { monitorStep = 0, workspaceStep = 0 }) {
+        const tileGroup = this._getTileGroupFor(window);
+        if (!tileGroup.length)
+            return;
+
+        const nMonitors = global.display.get_n_monitors();
+        const monitor = (window.get_monitor() + monitorStep + nMonitors) % nMonitors;
+        const wsManager = global.workspace_manager;
+        const wsIdx = window.get_workspace().index() + workspaceStep;
+        if (workspaceStep && window.is_on_all_workspaces() ||
+                wsIdx < 0 || wsIdx >= wsManager.get_n_workspaces() ||
+                monitor === window.get_monitor() && !workspaceStep)
+            return;
+
+        const workspace = wsManager.get_workspace_by_index(wsIdx);
+        Util.moveTileGroup(tileGroup, monitor, workspace);
+
+        // Follow the tile group like GNOME's shortcuts to move windows do.
+        if (workspaceStep)
+            workspace.activate_with_focus(window, global.get_current_time());
+    }
+
     /**
      * Tiles or moves the focus depending on the `windows` tiling state.
      *
@@ -23,9 +23,12 @@ const _ = Domain.gettext;
  * loop / step through each LayoutItem and spawn a Tiling Popup one after the
  * other for the rects and offer to tile a window to that rect. If an appId is
  * defined, instead of calling the Tiling Popup, we tile (a new Instance of)
- * the app to the rect. If a LoopType is defined, instead of going to the next
+ * the app to the rect. If the user enabled the reuse of open windows, an open
+ * window of the app is tiled instead and we only fall back to opening a new
+ * instance, if there is none. If a LoopType is defined, instead of going to the next
  * item / rect, we spawn a Tiling Popup on the same item / rect and all the
- * tiled windows will share that spot evenly (a la 'Master and Stack').
+ * tiled windows will share that spot evenly (a la 'Master and Stack'). The
+ * 't' LoopType stacks the windows as tabs in that spot instead.
  *
  * Additionally, there the user can select a 'favorite' layout among the
  * PopupLayouts. That layout will then be used as an fixed alternative mode to
@@ -101,8 +104,14 @@ var LayoutManager = class TilingLayoutsManager {
      * Starts tiling to a Popup Layout.
      *
      * @param {number} index the index of the layout we start tiling to.
+     * @param {object} [tiled={}] a window, which was already tiled to an
+     *      item of the layout (e. g. with the snap layout menu of the
+     *      moveHandler). That item is skipped.
+     * @param {Meta.Window} [tiled.window=null]
+     * @param {number} [tiled.itemIdx=-1] the index of the item in the
+     *      layout's (valid) items.
      */
-    startLayouting(index) {
+    startLayouting(index, { window = null, itemIdx = -1 } = {}) {
         const layout = Util.getLayouts()?.[index];
         if (!layout)
             return;
@@ -112,6 +121,16 @@ var LayoutManager = class TilingLayoutsManager {
         this._items = new Layout(layout).getItems();
         this._currItem = null;
 
+        if (window) {
+            this._items.splice(itemIdx, 1);
+            this._tiledWithLayout = [window];
+            this._remainingWindows = this._remainingWindows.filter(w => w !== window);
+            if (!this._items.length) {
+                this._finish();
+                return;
+            }
+        }
+
         const activeWs = global.workspace_manager.get_active_workspace();
         const monitor = global.display.get_current_monitor();
         const workArea = activeWs.get_work_area_for_monitor(monitor);
@@ -127,6 +146,95 @@ var LayoutManager = class TilingLayoutsManager {
         this._step();
     }
 
+    /**
+     * Converts the top tile group of the current monitor into a layout. The
+     * tiledRects are divided by the work area and edges close to clean
+     * fractions (halves, thirds, quarters...) are snapped to them. The app
+     * ids of the windows are kept in the layout items.
+     *
+     * @param {string} name the name of the layout.
+     * @returns {Layout|null} the layout or null, if there is no (valid) tile
+     *      group to capture.
+     */
+    captureLayout(name) {
+        // Ignore a floating top window, e. g. the prefs window, which would
+        // otherwise break apart the tile group below it.
+        const monitor = global.display.get_current_monitor();
+        const topWindow = Util.getWindows()[0];
+        const tileGroup = Util.getTopTileGroup(!topWindow?.isTiled, monitor);
+        if (!tileGroup.length)
+            return null;
+
+        const activeWs = global.workspace_manager.get_active_workspace();
+        const workArea = new Rect(activeWs.get_work_area_for_monitor(monitor));
+        const toRatio = (value, start, size) => snapRatio((value - start) / size);
+        const winTracker = Shell.WindowTracker.get_default();
+        const layout = new Layout();
+        layout.setName(name);
+
+        tileGroup
+            .sort((w1, w2) => w1.tiledRect.x - w2.tiledRect.x || w1.tiledRect.y - w2.tiledRect.y)
+            .forEach(w => {
+                const { x, y, x2, y2 } = w.tiledRect;
+                const x1Ratio = toRatio(x, workArea.x, workArea.width);
+                const y1Ratio = toRatio(y, workArea.y, workArea.height);
+                const x2Ratio = toRatio(x2, workArea.x, workArea.width);
+                const y2Ratio = toRatio(y2, workArea.y, workArea.height);
+                const app = winTracker.get_window_app(w);
+
+                const item = layout.addItem();
+                item.rect = {
+                    x: x1Ratio,
+                    y: y1Ratio,
+                    width: x2Ratio - x1Ratio,
+                    height: y2Ratio - y1Ratio
+                };
+                item.appId = app && !app.is_window_backed() ? app.get_id() : null;
+            });
+
+        return layout.validate()[0] ? layout : null;
+    }
+
+    /**
+     * Captures the top tile group of the current monitor as a popup layout
+     * and saves it. A layout with the same name is replaced. Otherwise the
+     * new layout is appended to the layouts.
+     *
+     * @param {string} [name=''] the name of the layout. If it's empty, a
+     *      new name is generated.
+     * @returns {string|null} the name of the saved layout or null, if no
+     *      layout was saved.
+     */
+    saveLayout(name = '') {
+        const layouts = Util.getLayouts();
+        if (!name) {
+            const names = layouts.map(l => l._name);
+            let count = layouts.length + 1;
+            while (names.includes(_('Captured Layout %d').format(count)))
+                count++;
+
+            name = _('Captured Layout %d').format(count);
+        }
+
+        const layout = this.captureLayout(name);
+        if (!layout) {
+            Main.notify('Tiling Assistant', _("Popup Layouts: Can't capture the layout, if no tiled window is visible."));
+            return null;
+        }
+
+        const index = layouts.findIndex(l => l._name === name);
+        if (index !== -1) {
+            layouts[index] = layout;
+        } else if (layouts.length < 20) {
+            layouts.push(layout);
+        } else {
+            Main.notify('Tiling Assistant', _('Popup Layouts: There are already 20 layouts.'));
+            return null;
+        }
+
+        return Util.saveLayouts(layouts) ? name : null;
+    }
+
     _finish() {
         this._items = [];
         this._currItem = null;
@@ -154,9 +262,9 @@ var LayoutManager = class TilingLayoutsManager {
             const currIdx = this._items.indexOf(this._currItem);
             this._currItem = this._items[currIdx + 1];
 
-            // Scale the item's rect to the workArea
+            // Scale the item's rect to the workArea of the item's monitor
             const activeWs = global.workspace_manager.get_active_workspace();
-            const monitor = global.display.get_current_monitor();
+            const monitor = Util.getLayoutMonitor(this._currItem.monitor ?? null);
             const workArea = new Rect(activeWs.get_work_area_for_monitor(monitor));
             const rectRatios = this._currItem.rect;
             this._currRect = new Rect(
@@ -185,16 +293,55 @@ var LayoutManager = class TilingLayoutsManager {
             return;
         }
 
-        if (app.can_open_new_window()) {
+        const openWindow = Settings.getBoolean(Settings.LAYOUTS_REUSE_WINDOWS) &&
+                this._findOpenWindow(app);
+        if (openWindow)
+            this._tileOpenWindow(openWindow);
+        else if (app.can_open_new_window())
             Util.openAppTiled(app, this._currRect);
-        } else {
-            // Should we search for an open instance of the app and tile that?
-            // Would we move it across workspaces and monitors?
-        }
 
         this._step();
     }
 
+    /**
+     * @param {Shell.App} app
+     * @returns {Meta.Window|null} an open window of the `app`, which wasn't
+     *      tiled with the current layout yet. Windows on the current workspace
+     *      are preferred.
+     */
+    _findOpenWindow(app) {
+        const activeWs = global.workspace_manager.get_active_workspace();
+        const windows = app.get_windows().filter(w => {
+            return w.get_window_type() === Meta.WindowType.NORMAL &&
+                    !w.is_skip_taskbar() &&
+                    !this._tiledWithLayout.includes(w) &&
+                    (w.allows_move() && w.allows_resize() || Util.isMaximized(w));
+        });
+
+        return windows.find(w => w.located_on_workspace(activeWs)) ??
+                windows[0] ??
+                null;
+    }
+
+    /**
+     * Moves an open window to the current workspace and tiles it to the
+     * current rect.
+     *
+     * @param {Meta.Window} window
+     */
+    _tileOpenWindow(window) {
+        const activeWs = global.workspace_manager.get_active_workspace();
+        if (!window.located_on_workspace(activeWs))
+            window.change_workspace(activeWs);
+
+        window.minimized && window.unminimize();
+        Util.tile(window, this._currRect, { openTilingPopup: false, skipAnim: true });
+        window.raise();
+
+        this._tiledWithLayout.push(window);
+        this._remainingWindows = this._remainingWindows.filter(w => w !== window);
+    }
+
     _openTilingPopup() {
         // There are no open windows left to tile using the Tiling Popup.
         // However there may be items with appIds, which we want to open.
@@ -250,10 +397,16 @@ var LayoutManager = class TilingLayoutsManager {
             const i = this._remainingWindows.indexOf(tiledWindow);
             this._remainingWindows.splice(i, 1);
 
+            // Stack all windows, which were tiled during the current tabbed
+            // loop, as tabs in the current rect.
+            if (this._currItem.loopType === 't') {
+                this._tiledWithLoop.length && Util.addTab(tiledWindow, this._tiledWithLoop[0]);
+                this._tiledWithLoop.push(tiledWindow);
+
             // Make all windows, which were tiled during the current loop,
             // share the current rect evenly -> like the 'Stack' part of a
             // 'Master and Stack'
-            if (this._currItem.loopType) {
+            } else if (this._currItem.loopType) {
                 this._tiledWithLoop.push(tiledWindow);
                 this._tiledWithLoop.forEach((w, idx) => {
                     const rect = this._currRect.copy();
@@ -299,6 +452,19 @@ var LayoutManager = class TilingLayoutsManager {
             Shell.ActionMode.NORMAL,
             this.openFavoriteSearch.bind(this)
         );
+
+        this._keyBindings.push('capture-layout');
+        Main.wm.addKeybinding(
+            'capture-layout',
+            Settings.getGioObject(),
+            Meta.KeyBindingFlags.IGNORE_AUTOREPEAT,
+            Shell.ActionMode.NORMAL,
+            () => {
+                const name = this.saveLayout();
+                const msg = _("Saved the current arrangement as '%s'.");
+                name && Main.notify('Tiling Assistant', msg.format(name));
+            }
+        );
     }
 };
 
@@ -449,3 +615,28 @@ const SearchItem = GObject.registerClass(class TilingLayoutsSearchItem extends S
         });
     }
 });
+
+/**
+ * Clean fractions, which the ratios of captured layouts are snapped to.
+ */
+const SNAP_FRACTIONS = [2, 3, 4, 5, 6, 8, 10, 12].reduce((fractions, denominator) => {
+    for (let numerator = 0; numerator <= denominator; numerator++)
+        fractions.push(numerator / denominator);
+    return fractions;
+}, []);
+const SNAP_THRESHOLD = 0.01;
+
+/**
+ * @param {number} ratio a ratio from 0 to 1.
+ * @returns {number} the nearest clean fraction, if `ratio` is close to one.
+ *      Otherwise `ratio` rounded to 4 decimal places.
+ */
+function snapRatio(ratio) {
+    const nearest = SNAP_FRACTIONS.reduce((best, fraction) => {
+        return Math.abs(fraction - ratio) < Math.abs(best - ratio) ? fraction : best;
+    });
+
+    return Math.abs(nearest - ratio) <= SNAP_THRESHOLD
+        ? nearest
+        : Math.round(ratio * 10000) / 10000;
+}
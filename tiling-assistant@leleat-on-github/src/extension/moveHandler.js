@@ -1,15 +1,38 @@
 'use strict';
 
-const { Clutter, GLib, Meta } = imports.gi;
-const WindowManager = imports.ui.windowManager;
+const { Clutter, GLib, GObject, Meta, St } = imports.gi;
+const { main: Main, windowManager: WindowManager } = imports.ui;
 
 const ExtensionUtils = imports.misc.extensionUtils;
 const Me = ExtensionUtils.getCurrentExtension();
 
-const { Orientation, RestoreOn, MoveModes, Settings, Shortcuts } = Me.imports.src.common;
+const {
+    Direction,
+    Layout,
+    Orientation,
+    RestoreOn,
+    MoveModes,
+    Settings,
+    Shortcuts,
+    WindowRuleActions
+} = Me.imports.src.common;
 const Rect = Me.imports.src.extension.geometry.Rect;
 const Util = Me.imports.src.extension.utility.Util;
 
+// The width of a layout's miniature in the snap layout menu.
+const SNAP_LAYOUT_WIDTH = 96;
+const SNAP_LAYOUTS_PER_ROW = 5;
+// The distance of the snap layout menu to the top of the workArea.
+const SNAP_LAYOUT_MENU_MARGIN = 8;
+
+// The modifiers to move a whole tile group (see move-tile-group-mod).
+const TILE_GROUP_MODS = {
+    Shift: Clutter.ModifierType.SHIFT_MASK,
+    Ctrl: Clutter.ModifierType.CONTROL_MASK,
+    Alt: Clutter.ModifierType.MOD1_MASK,
+    Super: Clutter.ModifierType.MOD4_MASK
+};
+
 /**
  * This class gets to handle the move events (grab & monitor change) of windows.
  * If the moved window is tiled at the start of the grab, untile it. This is
@@ -19,18 +42,27 @@ const Util = Me.imports.src.extension.utility.Util;
  */
 
 var Handler = class TilingMoveHandler {
-    constructor() {
+    /**
+     * @param {TilingLayoutsManager} layoutsManager used to start the layouts
+     *      from the snap layout menu.
+     */
+    constructor(layoutsManager) {
+        this._layoutsManager = layoutsManager;
         const moveOps = [Meta.GrabOp.MOVING, Meta.GrabOp.KEYBOARD_MOVING];
 
         this._displaySignals = [];
+        // Windows, which should always float, don't get a tile preview.
+        const isTileable = window =>
+            !Util.hasWindowRule(window, WindowRuleActions.FLOAT);
+
         const g1Id = global.display.connect('grab-op-begin', (src, window, grabOp) => {
-            if (window && moveOps.includes(grabOp))
+            if (window && moveOps.includes(grabOp) && isTileable(window))
                 this._onMoveStarted(window, grabOp);
         });
         this._displaySignals.push(g1Id);
 
         const g2Id = global.display.connect('grab-op-end', (src, window, grabOp) => {
-            if (window && moveOps.includes(grabOp))
+            if (window && moveOps.includes(grabOp) && isTileable(window))
                 this._onMoveFinished(window);
         });
         this._displaySignals.push(g2Id);
@@ -42,7 +74,7 @@ var Handler = class TilingMoveHandler {
             // be tiled and then moved to the old monitor, which fires another
             // window-left / window-entered signal. UntiledRect -> also include
             // maximized windows with gaps
-            if (this._isGrabOp || !window.untiledRect)
+            if (this._isGrabOp || Util.isMovingTileGroup() || !window.untiledRect)
                 return;
 
             const activeWs = global.workspace_manager.get_active_workspace();
@@ -59,7 +91,7 @@ var Handler = class TilingMoveHandler {
 
         // See window-left-monitor signal connection.
         const w2Id = global.display.connect('window-entered-monitor', (src, monitorNr, window) => {
-            if (this._isGrabOp || !window.untiledRect)
+            if (this._isGrabOp || Util.isMovingTileGroup() || !window.untiledRect)
                 return;
 
             this._onMonitorChanged(window, monitorNr, this._scaleFactors);
@@ -73,6 +105,38 @@ var Handler = class TilingMoveHandler {
         // The rect the grabbed window will tile to
         // (it may differ from the tilePreview's rect)
         this._tileRect = null;
+        // The TileTree of the top tile group at the start of the grab and
+        // the modified copy of it, which is previewed in the 'secondary mode'.
+        this._tileTree = null;
+        this._previewTileTree = null;
+        // The tiled window, which the grabbed window will be added to as a
+        // tab (see tabManager.js).
+        this._tabTarget = null;
+        // The snap zones of this._snapZonesMonitor, the rect spanning the
+        // zones, which were hovered while holding Shift, and the overlay,
+        // which draws the zones, in the 'Snap Zones' mode.
+        this._snapZones = [];
+        this._snapZonesMonitor = -1;
+        this._snapZonesSpan = null;
+        this._snapZonesOverlay = null;
+        // The menu to drop the window onto a cell of a popup layout and the
+        // hovered cell: { layoutIdx, itemIdx, rect }. See SnapLayoutMenu.
+        this._snapLayoutMenu = null;
+        this._snapLayoutCell = null;
+        // The tile group, which is moved together with the grabbed window,
+        // and the offsets of the other windows to the grabbed window:
+        // { tileGroup, offsets: { window1: { x, y }, ... } }
+        this._groupMove = null;
+        // The tiledRect of the grabbed window at the start of the grab and
+        // the tiled window, which it will swap its position with.
+        this._swapRect = null;
+        this._swapTarget = null;
+        this._swapCandidates = [];
+        // Wether the keyboard grab is ended to select a zone instead and
+        // the selector for it. See KeyboardMoveSelector.
+        this._isKeyboardMove = false;
+        this._keyboardMoveId = 0;
+        this._keyboardMoveSelector = null;
 
         this._tilePreview = new WindowManager.TilePreview();
         this._tilePreview.needsUpdate = rect =>
@@ -80,11 +144,22 @@ var Handler = class TilingMoveHandler {
         // Don't bother with rounded corners since we have more than 2 previews
         this._tilePreview.style_class = 'tile-preview';
         this._tilePreview._updateStyle = () => {};
+
+        // Previews the spot of the other window, when swapping 2 windows.
+        this._swapPreview = new WindowManager.TilePreview();
+        this._swapPreview.style_class = 'tile-preview';
+        this._swapPreview._updateStyle = () => {};
     }
 
     destroy() {
         this._displaySignals.forEach(sId => global.display.disconnect(sId));
         this._tilePreview.destroy();
+        this._swapPreview.destroy();
+        this._snapZonesOverlay?.destroy();
+        this._snapLayoutMenu?.destroy();
+        this._keyboardMoveId && GLib.source_remove(this._keyboardMoveId);
+        this._keyboardMoveId = 0;
+        this._keyboardMoveSelector?.close();
     }
 
     // Adapt the size of tiled windows when moving them the across monitors.
@@ -93,6 +168,15 @@ var Handler = class TilingMoveHandler {
     _onMonitorChanged(tiledWindow, monitorNr, scaleFactors) {
         const activeWs = global.workspace_manager.get_active_workspace();
         const workArea = new Rect(activeWs.get_work_area_for_monitor(monitorNr));
+
+        // Lay out the window's tree on the new workArea to get the exact rect.
+        const tileTree = Util.getTileTreeFor(tiledWindow);
+        const treeRect = tileTree?.getRectFor(tiledWindow, workArea);
+        if (treeRect) {
+            Util.tile(tiledWindow, treeRect, { openTilingPopup: false, skipAnim: true });
+            return;
+        }
+
         const newRect = new Rect(
             workArea.x + (workArea.width * scaleFactors.x),
             workArea.y + (workArea.height * scaleFactors.y),
@@ -111,6 +195,24 @@ var Handler = class TilingMoveHandler {
     }
 
     _onMoveStarted(window, grabOp) {
+        if (grabOp === Meta.GrabOp.KEYBOARD_MOVING &&
+                Settings.getBoolean(Settings.KEYBOARD_MOVE_ZONES)) {
+            this._onKeyboardMoveStarted(window);
+            return;
+        }
+
+        // Move the whole tile group instead of untiling the window, if the
+        // modifier is held at the start of the grab. The 'Snap Zones' mode
+        // uses the modifiers (Shift) to span zones instead.
+        const groupMod = TILE_GROUP_MODS[Settings.getString(Settings.MOVE_TILE_GROUP_MOD)];
+        const snapZonesMode =
+                Settings.getString(Settings.DEFAULT_MOVE_MODE) === MoveModes.SNAP_ZONES;
+        if (window.isTiled && !snapZonesMode && Util.isModPressed(groupMod) &&
+                Util.getTileGroups().has(window.get_id())) {
+            this._onGroupMoveStarted(window);
+            return;
+        }
+
         // Also work with a window, which was maximized by GNOME natively
         // because it may have been tiled with this extension before being
         // maximized so we need to restore its size to pre-tiling.
@@ -179,6 +281,21 @@ var Handler = class TilingMoveHandler {
             const topTileGroup = Util.getTopTileGroup();
             const tRects = topTileGroup.map(w => w.tiledRect);
             const freeScreenRects = workArea.minus(tRects);
+
+            // The window may still be tiled, if its size is restored on the
+            // grab end. Otherwise, _restoreSizeAndRestartGrab() sets the rect.
+            this._swapRect = window.tiledRect?.copy() ?? null;
+            this._swapCandidates = Util.getTileGroups().has(window.get_id())
+                ? Util.getTileGroupFor(window).filter(w => w !== window)
+                : topTileGroup;
+
+            // Only use the tree, if it describes exactly the top tile group.
+            const tileTree = topTileGroup.length && Util.getTileTreeFor(topTileGroup[0]);
+            this._tileTree = tileTree && tileTree.hasExactly(topTileGroup) &&
+                    tileTree.workArea.equal(workArea)
+                ? tileTree
+                : null;
+            this._previewTileTree = null;
             this._posChangedId = window.connect('position-changed',
                 this._onMoving.bind(
                     this,
@@ -192,12 +309,43 @@ var Handler = class TilingMoveHandler {
     }
 
     _onMoveFinished(window) {
+        if (this._isKeyboardMove) {
+            this._isKeyboardMove = false;
+            return;
+        }
+
         if (this._posChangedId) {
             window.disconnect(this._posChangedId);
             this._posChangedId = 0;
         }
 
+        if (this._groupMove) {
+            this._onGroupMoveFinished(window);
+            return;
+        }
+
+        this._snapZonesOverlay?.destroy();
+        this._snapZonesOverlay = null;
+        this._snapZones = [];
+        this._snapZonesMonitor = -1;
+        this._snapZonesSpan = null;
+
+        // Only use the cell, if it's still previewed.
+        const snapLayoutCell = this._snapLayoutMenu?.visible && this._tileRect &&
+                this._snapLayoutCell?.rect.equal(this._tileRect)
+            ? this._snapLayoutCell
+            : null;
+        this._closeSnapLayoutMenu();
+
+        // Only swap, if the swap is still previewed.
+        const swapTarget = this._swapPreview._showing && this._tileRect &&
+                this._swapTarget?.tiledRect?.equal(this._tileRect)
+            ? this._swapTarget
+            : null;
+
         if (!this._tilePreview._showing) {
+            this._clearSwap();
+
             const restoreSetting = Settings.getString(Settings.RESTORE_SIZE_ON);
             const restoreOnEnd = restoreSetting === RestoreOn.ON_GRAB_END;
             restoreOnEnd && Util.untile(
@@ -211,18 +359,126 @@ var Handler = class TilingMoveHandler {
             return;
         }
 
-        this._splitRects.forEach((rect, w) => Util.tile(w, rect, {
-            openTilingPopup: false
-        }));
-        Util.tile(window, this._tileRect);
+        // Only re-tile based on the previewed tree, if the preview is still
+        // from the 'secondary mode'.
+        const tileTree = this._previewTileTree?.getLeafFor(window)?.rect.equal(this._tileRect)
+            ? this._previewTileTree
+            : null;
+
+        // The grabbed window leaves its tab group. Otherwise, the other tabs
+        // would follow it to the new spot.
+        Util.removeTab(window);
+
+        if (this._tabTarget) {
+            Util.addTab(window, this._tabTarget);
+        } else if (swapTarget) {
+            Util.tile(swapTarget, this._swapRect, { openTilingPopup: false });
+            Util.tile(window, this._tileRect, { openTilingPopup: false });
+        } else if (snapLayoutCell) {
+            // Tile the other cells of the layout with the Tiling Popup.
+            Util.tile(window, this._tileRect, { openTilingPopup: false });
+            this._layoutsManager.startLayouting(snapLayoutCell.layoutIdx, {
+                window,
+                itemIdx: snapLayoutCell.itemIdx
+            });
+        } else {
+            this._splitRects.forEach((rect, w) => Util.tile(w, rect, {
+                openTilingPopup: false,
+                tileTree
+            }));
+            Util.tile(window, this._tileRect, { tileTree });
+        }
 
         this._favoriteLayout = [];
         this._splitRects.clear();
+        this._tileTree = null;
+        this._previewTileTree = null;
+        this._tabTarget = null;
+        this._clearSwap();
         this._tilePreview.close();
         this._tileRect = null;
         this._isGrabOp = false;
     }
 
+    /**
+     * Mutter handles the key events of a keyboard move itself and the
+     * previews depend on the pointer's position. So end the grab and select
+     * the zone with the KeyboardMoveSelector instead.
+     *
+     * @param {Meta.Window} window the grabbed Meta.Window.
+     */
+    _onKeyboardMoveStarted(window) {
+        this._isKeyboardMove = true;
+
+        this._keyboardMoveId && GLib.source_remove(this._keyboardMoveId);
+        this._keyboardMoveId = GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
+            this._keyboardMoveId = 0;
+            global.display.end_grab_op(global.get_current_time());
+
+            this._keyboardMoveSelector?.close();
+            this._keyboardMoveSelector = new KeyboardMoveSelector(window);
+            this._keyboardMoveSelector.connect('destroy', () => {
+                this._keyboardMoveSelector = null;
+            });
+            this._keyboardMoveSelector.open();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    /**
+     * @param {Meta.Window} window the grabbed Meta.Window.
+     */
+    _onGroupMoveStarted(window) {
+        // Don't re-tile the windows, when they enter another monitor.
+        this._isGrabOp = true;
+
+        const tileGroup = Util.getTileGroupFor(window);
+        const { x, y } = window.get_frame_rect();
+        const offsets = new Map();
+        tileGroup.forEach(w => {
+            const rect = w.get_frame_rect();
+            w !== window && offsets.set(w, { x: rect.x - x, y: rect.y - y });
+        });
+
+        this._groupMove = { tileGroup, offsets };
+        this._posChangedId = window.connect('position-changed',
+            this._onGroupMoving.bind(this, window));
+    }
+
+    /**
+     * Moves the other windows of the tile group along with the grabbed
+     * window and previews the workArea, which the group will be tiled on.
+     *
+     * @param {Meta.Window} window the grabbed Meta.Window.
+     */
+    _onGroupMoving(window) {
+        const { x, y } = window.get_frame_rect();
+        this._groupMove.offsets.forEach((offset, w) => {
+            w.move_frame(false, x + offset.x, y + offset.y);
+        });
+
+        const monitor = global.display.get_current_monitor();
+        const activeWs = global.workspace_manager.get_active_workspace();
+        const workArea = new Rect(activeWs.get_work_area_for_monitor(monitor));
+        this._tilePreview.open(window, workArea.meta, monitor);
+    }
+
+    /**
+     * Re-tiles the tile group on the monitor, which the grab ended on. The
+     * tiledRects are scaled to its workArea (see Util.moveTileGroup()).
+     *
+     * @param {Meta.Window} window the grabbed Meta.Window.
+     */
+    _onGroupMoveFinished(window) {
+        const { tileGroup } = this._groupMove;
+        this._groupMove = null;
+        this._tilePreview.close();
+        this._isGrabOp = false;
+
+        const monitor = global.display.get_current_monitor();
+        Util.moveTileGroup(tileGroup, monitor, window.get_workspace());
+    }
+
     _onMoving(grabOp, window, topTileGroup, freeScreenRects) {
         // Use the current event's coords instead of global.get_pointer
         // to support touch...?
@@ -248,6 +504,16 @@ var Handler = class TilingMoveHandler {
         const defaultMode = Settings.getString(Settings.DEFAULT_MOVE_MODE);
         const splitActivator = Settings.getString(Settings.SPLIT_TILE_MOD);
         const favActivator = Settings.getString(Settings.FAVORITE_LAYOUT_MOD);
+        const snapActivator = Settings.getString(Settings.SNAP_ZONES_MOD);
+
+        // Only the 'Split Tiles' preview may add the window as a tab and
+        // only the 'Edge Tiling' preview may swap the window.
+        this._tabTarget = null;
+        this._swapTarget = null;
+        // Only the 'Snap Zones' preview shows the zones and only the 'Edge
+        // Tiling' preview shows the snap layout menu.
+        this._snapZonesOverlay?.hide();
+        this._snapLayoutMenu?.hide();
 
         if (pressed[splitActivator]) {
             defaultMode === MoveModes.SPLIT_TILES
@@ -257,13 +523,21 @@ var Handler = class TilingMoveHandler {
             defaultMode === MoveModes.FAVORITE_LAYOUT
                 ? this._edgeTilingPreview(window, grabOp)
                 : this._favoriteLayoutTilingPreview(window);
+        } else if (pressed[snapActivator]) {
+            defaultMode === MoveModes.SNAP_ZONES
+                ? this._edgeTilingPreview(window, grabOp)
+                : this._snapZonesTilingPreview(window);
         } else if (defaultMode === MoveModes.SPLIT_TILES) {
             this._splitTilingPreview(window, grabOp, topTileGroup, freeScreenRects);
         } else if (defaultMode === MoveModes.FAVORITE_LAYOUT) {
             this._favoriteLayoutTilingPreview(window);
+        } else if (defaultMode === MoveModes.SNAP_ZONES) {
+            this._snapZonesTilingPreview(window);
         } else {
             this._edgeTilingPreview(window, grabOp);
         }
+
+        !this._swapTarget && this._swapPreview.close();
     }
 
     _restoreSizeAndRestartGrab(window, eventX, eventY, grabOp) {
@@ -273,6 +547,7 @@ var Handler = class TilingMoveHandler {
         const x = eventX - rect.x;
         const relativeX = x / rect.width;
         let untiledRect = window.untiledRect;
+        const tiledRect = window.tiledRect?.copy() ?? null;
         Util.untile(window, {
             restoreFullPos: false,
             xAnchor: eventX,
@@ -301,6 +576,10 @@ var Handler = class TilingMoveHandler {
             // So the pointer isn't above the window in some cases.
             Math.max(eventY, postUntileRect.y)
         );
+
+        // The restarted grab starts with the untiled window. So remember
+        // its old spot for swapping it with another tiled window.
+        this._swapRect = tiledRect;
     }
 
     /**
@@ -352,6 +631,7 @@ var Handler = class TilingMoveHandler {
         const tileTopRightQuarter = pointerAtRightEdge && (pointerAtTopEdge || windowAtTopEdge);
         const tileBottomLeftQuarter = pointerAtLeftEdge && (pointerAtBottomEdge || windowAtBottomEdge);
         const tileBottomRightQuarter = pointerAtRightEdge && (pointerAtBottomEdge || windowAtBottomEdge);
+        const useSnapLayoutMenu = this._updateSnapLayoutMenu(workArea, pointerAtTopEdge);
 
         if (tileTopLeftQuarter) {
             this._tileRect = Util.getTileFor(Shortcuts.TOP_LEFT, workArea, this._monitorNr);
@@ -365,6 +645,12 @@ var Handler = class TilingMoveHandler {
         } else if (tileBottomRightQuarter) {
             this._tileRect = Util.getTileFor(Shortcuts.BOTTOM_RIGHT, workArea, this._monitorNr);
             this._tilePreview.open(window, this._tileRect.meta, this._monitorNr);
+        } else if (useSnapLayoutMenu) {
+            this._snapLayoutCell = this._snapLayoutMenu.getCellAt(this._lastPointerPos);
+            this._tileRect = this._snapLayoutCell?.rect.copy() ?? null;
+            this._tileRect
+                ? this._tilePreview.open(window, this._tileRect.meta, this._monitorNr)
+                : this._tilePreview.close();
         } else if (pointerAtTopEdge) {
             // Switch between maximize & top tiling when keeping the mouse at the top edge.
             const monitorRect = global.display.get_monitor_geometry(this._monitorNr);
@@ -411,12 +697,94 @@ var Handler = class TilingMoveHandler {
         } else if (pointerAtRightEdge) {
             this._tileRect = Util.getTileFor(Shortcuts.RIGHT, workArea, this._monitorNr);
             this._tilePreview.open(window, this._tileRect.meta, this._monitorNr);
-        } else {
+        } else if (!this._swapTilingPreview(window)) {
             this._tileRect = null;
             this._tilePreview.close();
         }
     }
 
+    /**
+     * Previews swapping the grabbed window with the tiled window, whose
+     * center the pointer hovers (if Swap on Drop is enabled and the grabbed
+     * window was tiled at the start of the grab). The grabbed window takes
+     * the tiledRect of the hovered window and vice versa.
+     *
+     * @param {Meta.Window} window the grabbed Meta.Window.
+     * @returns {boolean} wether a swap is previewed.
+     */
+    _swapTilingPreview(window) {
+        const { x, y } = this._lastPointerPos;
+        const swapTarget = Settings.getBoolean(Settings.SWAP_ON_DROP) && this._swapRect
+            ? this._swapCandidates.find(w => {
+                const rect = w.tiledRect;
+                return rect &&
+                        x > rect.x + rect.width * .25 && x < rect.x + rect.width * .75 &&
+                        y > rect.y + rect.height * .25 && y < rect.y + rect.height * .75;
+            })
+            : null;
+
+        if (!swapTarget)
+            return false;
+
+        this._swapTarget = swapTarget;
+        this._tileRect = swapTarget.tiledRect.copy();
+        this._tilePreview.open(window, this._tileRect.meta, swapTarget.get_monitor());
+        this._swapPreview.open(swapTarget, this._swapRect.meta,
+            global.display.get_monitor_index_for_rect(this._swapRect.meta));
+        return true;
+    }
+
+    _clearSwap() {
+        this._swapPreview.close();
+        this._swapRect = null;
+        this._swapTarget = null;
+        this._swapCandidates = [];
+    }
+
+    /**
+     * Opens the snap layout menu (if it's enabled), when the pointer is at
+     * the top center of the monitor, and keeps it open while the pointer
+     * hovers it. It replaces the maximize / top half preview there.
+     *
+     * @param {Rect} workArea the workArea of this._monitorNr.
+     * @param {boolean} pointerAtTopEdge
+     * @returns {boolean} wether the snap layout menu is used.
+     */
+    _updateSnapLayoutMenu(workArea, pointerAtTopEdge) {
+        if (!Settings.getBoolean(Settings.SNAP_LAYOUT_MENU))
+            return false;
+
+        const { x } = this._lastPointerPos;
+        const atTopCenter = pointerAtTopEdge &&
+                x >= workArea.x + workArea.width / 3 &&
+                x <= workArea.x2 - workArea.width / 3;
+        const menuOnMonitor = this._snapLayoutMenu?.monitor === this._monitorNr;
+        const overMenu = menuOnMonitor &&
+                this._snapLayoutMenu.containsPoint(this._lastPointerPos);
+        if (!atTopCenter && !overMenu) {
+            this._closeSnapLayoutMenu();
+            return false;
+        }
+
+        if (!menuOnMonitor) {
+            this._closeSnapLayoutMenu();
+            this._snapLayoutMenu = new SnapLayoutMenu(Util.getLayouts(), this._monitorNr);
+        }
+
+        // Without layouts, fall back to the maximize / top half preview.
+        if (!this._snapLayoutMenu.hasCells())
+            return false;
+
+        this._snapLayoutMenu.show();
+        return true;
+    }
+
+    _closeSnapLayoutMenu() {
+        this._snapLayoutMenu?.destroy();
+        this._snapLayoutMenu = null;
+        this._snapLayoutCell = null;
+    }
+
     /**
      * Activates the secondary preview mode. By default, it's activated with
      * `Ctrl`. When tiling using this mode, it will not only affect the grabbed
@@ -435,7 +803,9 @@ var Handler = class TilingMoveHandler {
             return;
         }
 
-        const screenRects = topTileGroup.map(w => w.tiledRect).concat(freeScreenRects);
+        const screenRects = this._tileTree
+            ? this._tileTree.getLeaves().map(l => l.rect)
+            : topTileGroup.map(w => w.tiledRect).concat(freeScreenRects);
         const hoveredRect = screenRects.find(r => r.containsPoint(this._lastPointerPos));
         if (!hoveredRect) {
             this._tilePreview.close();
@@ -457,11 +827,12 @@ var Handler = class TilingMoveHandler {
     /**
      * In this mode, when moving a window over a tiled window, the tilePreview
      * will appear and (partly) cover the tiled window. If your pointer is at
-     * the center, the grabbed window will just tile over the hovered tiled
-     * window. If your pointer is hovering over the sides (but not the very
-     * edges) of the tiled window, the tilePreview will only cover half of the
-     * tiled window. Once the grabbed window is tiled, the previously hovered
-     * tiled window, will make space for the grabbed window by halving its size.
+     * the center, the grabbed window will be added as a tab to the hovered
+     * tiled window (see tabManager.js). If your pointer is hovering over the
+     * sides (but not the very edges) of the tiled window, the tilePreview will
+     * only cover half of the tiled window. Once the grabbed window is tiled,
+     * the previously hovered tiled window, will make space for the grabbed
+     * window by halving its size.
      *
      * @param {Meta.Window} window
      * @param {Rect} hoveredRect
@@ -474,16 +845,32 @@ var Handler = class TilingMoveHandler {
         const atLeft = this._lastPointerPos.x < hoveredRect.x + hoveredRect.width * .25;
         const splitVertically = atTop || atBottom;
         const splitHorizontally = atLeft || atRight;
-
-        if (splitHorizontally || splitVertically) {
-            const idx = atTop && !atRight || atLeft ? 0 : 1;
+        const idx = atTop && !atRight || atLeft ? 0 : 1;
+        const orienation = splitHorizontally ? Orientation.V : Orientation.H;
+        let tileTree = null;
+
+        if (this._tileTree) {
+            tileTree = this._tileTree.clone();
+            const hoveredLeaf = tileTree.getLeafAt(hoveredRect);
+            const leaf = splitHorizontally || splitVertically
+                ? tileTree.splitLeaf(hoveredLeaf, orienation, window, idx === 0)
+                : hoveredLeaf;
+            leaf.window = window;
+            this._tileRect = leaf.rect.copy();
+        } else if (splitHorizontally || splitVertically) {
             const size = splitHorizontally ? hoveredRect.width : hoveredRect.height;
-            const orienation = splitHorizontally ? Orientation.V : Orientation.H;
             this._tileRect = hoveredRect.getUnitAt(idx, size / 2, orienation);
         } else {
             this._tileRect = hoveredRect.copy();
         }
 
+        const hoveredWindow = topTileGroup.find(w => {
+            return w.tiledRect.containsPoint(this._lastPointerPos);
+        });
+
+        if (!splitHorizontally && !splitVertically)
+            this._tabTarget = hoveredWindow ?? null;
+
         if (!this._tilePreview.needsUpdate(this._tileRect))
             return;
 
@@ -491,16 +878,15 @@ var Handler = class TilingMoveHandler {
         this._tilePreview.open(window, this._tileRect.meta, monitor);
         this._splitRects.clear();
 
-        const hoveredWindow = topTileGroup.find(w => {
-            return w.tiledRect.containsPoint(this._lastPointerPos);
-        });
-
-        if (!hoveredWindow)
+        this._previewTileTree = tileTree;
+        if (tileTree) {
+            this._setSplitRectsFromTree(window, tileTree);
             return;
+        }
 
-        // Don't halve the window, if we compelety cover it i. e.
-        // the user is hovering the tiled window at the center.
-        if (hoveredWindow.tiledRect.equal(this._tileRect))
+        // Don't halve the window, if we add a tab to it i. e. the user is
+        // hovering the tiled window at the center.
+        if (!hoveredWindow || this._tabTarget)
             return;
 
         const splitRect = hoveredWindow.tiledRect.minus(this._tileRect)[0];
@@ -521,6 +907,11 @@ var Handler = class TilingMoveHandler {
      *      `hoveredRect` is hovered.
      */
     _splitTilingPreviewGroup(window, hoveredRect, topTileGroup, hovered) {
+        if (this._tileTree) {
+            this._splitTilingPreviewGroupTree(window, hoveredRect, hovered);
+            return;
+        }
+
         // Find the smallest window that will be affected and use it to calcuate
         // the sizes of the preview. Determine the new tileRects for the rest
         // of the tileGroup via Rect.minus().
@@ -641,6 +1032,71 @@ var Handler = class TilingMoveHandler {
         });
     }
 
+    /**
+     * The same as _splitTilingPreviewGroup() but based on the tile group's
+     * TileTree. The grabbed window is inserted at the hovered edge and spans
+     * the entire edge, which the hovered tile shares with its neighbours.
+     *
+     * @param {Meta.Window} window
+     * @param {Rect} hoveredRect
+     * @param {object} hovered contains booleans at which position the
+     *      `hoveredRect` is hovered.
+     */
+    _splitTilingPreviewGroupTree(window, hoveredRect, hovered) {
+        const monitor = global.display.get_current_monitor();
+        const workArea = new Rect(window.get_work_area_for_monitor(monitor));
+        let dir, atScreenEdge;
+        if (hovered.atTopEdge) {
+            dir = Direction.N;
+            atScreenEdge = hoveredRect.y === workArea.y;
+        } else if (hovered.atBottomEdge) {
+            dir = Direction.S;
+            atScreenEdge = hoveredRect.y2 === workArea.y2;
+        } else if (hovered.atLeftEdge) {
+            dir = Direction.W;
+            atScreenEdge = hoveredRect.x === workArea.x;
+        } else {
+            dir = Direction.E;
+            atScreenEdge = hoveredRect.x2 === workArea.x2;
+        }
+
+        // Like in _splitTilingPreviewGroup(), use half of the size factor at
+        // the screen edges since only 1 side makes space for the window.
+        const tileTree = this._tileTree.clone();
+        const hoveredLeaf = tileTree.getLeafAt(hoveredRect);
+        const newLeaf = tileTree.insertAtEdge(hoveredLeaf, dir, window,
+            atScreenEdge ? 1 / 3 : 2 / 3);
+        if (!newLeaf) {
+            this._tileRect = null;
+            this._tilePreview.close();
+            return;
+        }
+
+        this._tileRect = newLeaf.rect.copy();
+        if (!this._tilePreview.needsUpdate(this._tileRect))
+            return;
+
+        this._tilePreview.open(window, this._tileRect.meta, monitor);
+        this._splitRects.clear();
+        this._previewTileTree = tileTree;
+        this._setSplitRectsFromTree(window, tileTree);
+    }
+
+    /**
+     * Saves the new rects of the windows, which need to make space for the
+     * grabbed window according to the (previewed) `tileTree`.
+     *
+     * @param {Meta.Window} window the grabbed window.
+     * @param {TileTree} tileTree
+     */
+    _setSplitRectsFromTree(window, tileTree) {
+        tileTree.getWindows().forEach(w => {
+            const rect = tileTree.getRectFor(w);
+            if (w !== window && !rect.equal(w.tiledRect))
+                this._splitRects.set(w, rect);
+        });
+    }
+
     _favoriteLayoutTilingPreview(window) {
         for (const rect of this._favoriteLayout) {
             if (rect.containsPoint(this._lastPointerPos)) {
@@ -653,4 +1109,349 @@ var Handler = class TilingMoveHandler {
         this._tileRect = null;
         this._tilePreview.close();
     }
+
+    /**
+     * Previews the snap zone under the pointer and draws all snap zones of
+     * the current monitor. While Shift is held, the preview spans all zones,
+     * which were hovered since Shift was pressed.
+     *
+     * @param {Meta.Window} window the grabbed Meta.Window.
+     */
+    _snapZonesTilingPreview(window) {
+        const monitor = global.display.get_current_monitor();
+        if (monitor !== this._snapZonesMonitor) {
+            this._snapZonesMonitor = monitor;
+            this._snapZones = Util.getSnapZones(monitor);
+            this._snapZonesSpan = null;
+        }
+
+        const zone = this._snapZones.find(z => z.containsPoint(this._lastPointerPos));
+        if (!Util.isModPressed(Clutter.ModifierType.SHIFT_MASK))
+            this._snapZonesSpan = null;
+        else if (zone)
+            this._snapZonesSpan = this._snapZonesSpan?.union(zone) ?? zone.copy();
+
+        this._tileRect = this._snapZonesSpan?.copy() ?? zone?.copy() ?? null;
+
+        if (!this._snapZonesOverlay)
+            this._snapZonesOverlay = new SnapZonesOverlay();
+
+        this._snapZonesOverlay.update(this._snapZones, this._tileRect, monitor);
+
+        if (this._tileRect)
+            this._tilePreview.open(window, this._tileRect.meta, monitor);
+        else
+            this._tilePreview.close();
+    }
 };
+
+/**
+ * A full-screen overlay, which draws the snap zones of a monitor while a
+ * window is moved in the 'Snap Zones' mode. The zones, which the window
+ * will tile to, are highlighted.
+ */
+const SnapZonesOverlay = GObject.registerClass(class TilingSnapZonesOverlay extends St.Widget {
+    _init() {
+        super._init();
+
+        // The rects of the zones. Each zone is drawn by the child at the
+        // same index.
+        this._zones = [];
+        Main.uiGroup.add_child(this);
+    }
+
+    /**
+     * @param {Rect[]} zones the snap zones of `monitor`.
+     * @param {Rect|null} selection the rect, which the window will tile to.
+     * @param {number} monitor the index of the monitor.
+     */
+    update(zones, selection, monitor) {
+        if (zones !== this._zones) {
+            const display = global.display.get_monitor_geometry(monitor);
+            const activeWs = global.workspace_manager.get_active_workspace();
+            const workArea = new Rect(activeWs.get_work_area_for_monitor(monitor));
+
+            this.set_position(display.x, display.y);
+            this.set_size(display.width, display.height);
+            this.destroy_all_children();
+            zones.forEach(zone => {
+                // Adjusted for window / screen gaps
+                const { x, y, width, height } = Util.getRectWithGap(zone, workArea);
+                this.add_child(new St.Widget({
+                    style_class: 'tiling-snap-zone',
+                    x: x - display.x,
+                    y: y - display.y,
+                    width,
+                    height
+                }));
+            });
+
+            this._zones = zones;
+        }
+
+        this.get_children().forEach((child, idx) => {
+            if (selection?.containsRect(this._zones[idx]))
+                child.add_style_pseudo_class('checked');
+            else
+                child.remove_style_pseudo_class('checked');
+        });
+
+        this.show();
+    }
+});
+
+/**
+ * A compact menu at the top center of a monitor, which shows the popup
+ * layouts as miniatures. Dropping a window onto a cell of a miniature
+ * tiles the window to the cell's rect. Since the window is grabbed while
+ * the menu is open, the menu doesn't get any pointer events. Instead, the
+ * moveHandler asks for the cell at the pointer's position.
+ */
+const SnapLayoutMenu = GObject.registerClass(class TilingSnapLayoutMenu extends St.BoxLayout {
+    /**
+     * @param {object[]} layouts the parsed layouts from the layouts file.
+     * @param {number} monitor the index of the monitor.
+     */
+    _init(layouts, monitor) {
+        super._init({ style_class: 'tiling-snap-layout-menu', vertical: true });
+
+        this.monitor = monitor;
+        // [{ widget, layoutIdx, itemIdx, rect }, ...]
+        this._cells = [];
+
+        const activeWs = global.workspace_manager.get_active_workspace();
+        const workArea = new Rect(activeWs.get_work_area_for_monitor(monitor));
+        const width = SNAP_LAYOUT_WIDTH;
+        const height = Math.round(width * workArea.height / workArea.width);
+
+        let row = null;
+        layouts.forEach((layout, layoutIdx) => {
+            const miniature = new St.Widget({
+                style_class: 'tiling-snap-layout',
+                width,
+                height
+            });
+
+            // Only show the items, which are on the monitor. Keep the indices
+            // of the (valid) items for the LayoutManager.
+            new Layout(layout).getItems().forEach((item, itemIdx) => {
+                const isOnMonitor = (item.monitor ?? null) === null ||
+                        Util.getLayoutMonitor(item.monitor) === monitor;
+                if (!isOnMonitor)
+                    return;
+
+                const { x, y, width: w, height: h } = item.rect;
+                const widget = new St.Widget({
+                    style_class: 'tiling-snap-layout-cell',
+                    x: Math.round(x * width),
+                    y: Math.round(y * height),
+                    width: Math.round(w * width),
+                    height: Math.round(h * height)
+                });
+                miniature.add_child(widget);
+
+                // Scale the rect like the LayoutManager does.
+                const rect = new Rect(
+                    workArea.x + Math.floor(x * workArea.width),
+                    workArea.y + Math.floor(y * workArea.height),
+                    Math.ceil(w * workArea.width),
+                    Math.ceil(h * workArea.height)
+                );
+                rect.tryAlignWith(workArea);
+                this._cells.push({ widget, layoutIdx, itemIdx, rect });
+            });
+
+            if (!miniature.get_n_children()) {
+                miniature.destroy();
+                return;
+            }
+
+            if (!row || row.get_n_children() >= SNAP_LAYOUTS_PER_ROW) {
+                row = new St.BoxLayout({ style_class: 'tiling-snap-layout-menu-row' });
+                this.add_child(row);
+            }
+
+            row.add_child(miniature);
+        });
+
+        Main.uiGroup.add_child(this);
+
+        const [, natWidth] = this.get_preferred_width(-1);
+        this.set_position(
+            Math.round(workArea.x + (workArea.width - natWidth) / 2),
+            workArea.y + SNAP_LAYOUT_MENU_MARGIN
+        );
+    }
+
+    /**
+     * @returns {boolean} wether any layout has a cell on the monitor.
+     */
+    hasCells() {
+        return this._cells.length > 0;
+    }
+
+    /**
+     * @param {object} point the point with x and y coordinates.
+     * @returns {boolean} wether the menu is at `point`.
+     */
+    containsPoint(point) {
+        return this._getRect(this).containsPoint(point);
+    }
+
+    /**
+     * Highlights the cell at `point`.
+     *
+     * @param {object} point the point with x and y coordinates.
+     * @returns {{layoutIdx: number, itemIdx: number, rect: Rect}|null} the
+     *      cell at `point`. Its rect is scaled to the monitor's workArea.
+     */
+    getCellAt(point) {
+        const cell = this._cells.find(c => this._getRect(c.widget).containsPoint(point));
+        this._cells.forEach(({ widget }) => {
+            if (widget === cell?.widget)
+                widget.add_style_pseudo_class('checked');
+            else
+                widget.remove_style_pseudo_class('checked');
+        });
+
+        return cell ?? null;
+    }
+
+    /**
+     * @param {Clutter.Actor} actor
+     * @returns {Rect} the rect of `actor` in stage coordinates.
+     */
+    _getRect(actor) {
+        const [x, y] = actor.get_transformed_position();
+        const [width, height] = actor.get_transformed_size();
+        return new Rect(x, y, width, height);
+    }
+});
+
+
+/**
+ * Replaces the keyboard move (e. g. Alt+F7) of a window. The direction keys
+ * select one of the rects, which the window can be tiled to: the free screen
+ * rects, the rects of the top tile group and the rects of the favorite
+ * layout. Tab and Shift+Tab cycle through all of them. The tile preview
+ * follows the selection. Enter tiles the window and Esc or a click cancels.
+ */
+const KeyboardMoveSelector = GObject.registerClass(
+class TilingKeyboardMoveSelector extends St.Widget {
+    /**
+     * @param {Meta.Window} window the moved Meta.Window.
+     */
+    _init(window) {
+        const monitor = window.get_monitor();
+        const display = global.display.get_monitor_geometry(monitor);
+        super._init({
+            x: display.x,
+            y: display.y,
+            width: display.width,
+            height: display.height,
+            reactive: true
+        });
+
+        this._haveModal = false;
+        this._window = window;
+        this._monitor = monitor;
+        this._rects = this._getRects();
+        this._selectedIdx = -1;
+        this._tilePreview = new WindowManager.TilePreview();
+
+        Main.uiGroup.add_child(this);
+    }
+
+    open() {
+        if (!Main.pushModal(this)) {
+            // Probably someone else has a pointer grab, try again with keyboard
+            const alreadyGrabbed = Meta.ModalOptions.POINTER_ALREADY_GRABBED;
+            if (!Main.pushModal(this, { options: alreadyGrabbed })) {
+                this.close();
+                return;
+            }
+        }
+
+        this._haveModal = true;
+
+        // Start at the window's tiled spot or at the smallest rect, which
+        // contains the window's center.
+        const { tiledRect } = this._window;
+        const center = new Rect(this._window.get_frame_rect()).center;
+        const startRect = this._rects.find(r => tiledRect?.equal(r)) ?? this._rects
+            .filter(r => r.containsPoint(center))
+            .sort((r1, r2) => r1.area - r2.area)[0];
+        this._select(startRect ? this._rects.indexOf(startRect) : 0);
+    }
+
+    close() {
+        if (this._haveModal) {
+            Main.popModal(this);
+            this._haveModal = false;
+        }
+
+        this._tilePreview.destroy();
+        this.destroy();
+    }
+
+    vfunc_button_press_event() {
+        this.close();
+        return Clutter.EVENT_STOP;
+    }
+
+    vfunc_key_press_event(keyEvent) {
+        const keyVal = keyEvent.keyval;
+        const direction = Util.getDirection(keyVal);
+        const confirmKeys = [Clutter.KEY_Return, Clutter.KEY_KP_Enter, Clutter.KEY_space];
+
+        if (direction) {
+            const rect = this._rects[this._selectedIdx];
+            const neighbor = rect.getNeighbor(direction, this._rects);
+            neighbor && this._select(this._rects.findIndex(r => r.equal(neighbor)));
+        } else if (keyVal === Clutter.KEY_Tab) {
+            this._select((this._selectedIdx + 1) % this._rects.length);
+        } else if (keyVal === Clutter.KEY_ISO_Left_Tab) {
+            const count = this._rects.length;
+            this._select((this._selectedIdx - 1 + count) % count);
+        } else if (confirmKeys.includes(keyVal)) {
+            const window = this._window;
+            const rect = this._rects[this._selectedIdx];
+            this.close();
+
+            // Same as dropping the window at the end of a grab.
+            Util.removeTab(window);
+            Util.tile(window, rect);
+        } else if (keyVal === Clutter.KEY_Escape) {
+            this.close();
+        }
+
+        return Clutter.EVENT_STOP;
+    }
+
+    /**
+     * @returns {Rect[]} the rects, which the window can be tiled to, without
+     *      duplicates.
+     */
+    _getRects() {
+        const activeWs = global.workspace_manager.get_active_workspace();
+        const workArea = new Rect(activeWs.get_work_area_for_monitor(this._monitor));
+        const tiledRects = Util.getTopTileGroup(false, this._monitor)
+            .filter(w => w !== this._window)
+            .map(w => w.tiledRect);
+        const rects = [
+            ...workArea.minus(tiledRects),
+            ...tiledRects,
+            ...Util.getFavoriteLayout(this._monitor)
+        ];
+
+        return rects.filter((rect, idx) => rects.findIndex(r => r.equal(rect)) === idx);
+    }
+
+    /**
+     * @param {number} idx the index of the rect in this._rects.
+     */
+    _select(idx) {
+        this._selectedIdx = idx;
+        this._tilePreview.open(this._window, this._rects[idx].meta, this._monitor);
+    }
+});
@@ -5,7 +5,7 @@ const Meta = imports.gi.Meta;
 const ExtensionUtils = imports.misc.extensionUtils;
 const Me = ExtensionUtils.getCurrentExtension();
 
-const Settings = Me.imports.src.common.Settings;
+const { Direction, Settings } = Me.imports.src.common;
 const Rect = Me.imports.src.extension.geometry.Rect;
 const Util = Me.imports.src.extension.utility.Util;
 
@@ -62,6 +62,10 @@ var Handler = class TilingResizeHandler {
         // of the window, which will be passively resized, relative to the
         // actively resized window.
         this._resizeOps = new Map();
+        // The TileTree of the grabbed window's tile group, if there is one.
+        this._tileTree = null;
+        // Wether the resize of a tiled window is recorded in the history.
+        this._isRecording = false;
     }
 
     destroy() {
@@ -69,9 +73,24 @@ var Handler = class TilingResizeHandler {
     }
 
     _onResizeStarted(window, grabOp) {
+        this._tileTree = null;
+
         if (!window.isTiled)
             return;
 
+        // Make the resize undoable. The new tiledRects are only set at the
+        // grab end.
+        Util.startHistoryEntry();
+        this._isRecording = true;
+
+        // The tree knows exactly, which windows share the resized edges.
+        // So we don't need to guess the adjacency based on the tiledRects.
+        const tileTree = Util.getTileTreeFor(window);
+        if (tileTree?.getLeafFor(window)) {
+            this._onTreeResizeStarted(window, grabOp, tileTree);
+            return;
+        }
+
         // Use the same margin for the alignment and equality check below.
         const margin = 5;
         const topTileGroup = Util.getTopTileGroup(false);
@@ -221,6 +240,53 @@ var Handler = class TilingResizeHandler {
         }
     }
 
+    _onTreeResizeStarted(window, grabOp, tileTree) {
+        this._tileTree = tileTree;
+
+        // Split intercardinal resizing into its V and H components.
+        const [grabOpV, grabOpH] = {
+            [Meta.GrabOp.RESIZING_N]: [Meta.GrabOp.RESIZING_N, null],
+            [Meta.GrabOp.RESIZING_S]: [Meta.GrabOp.RESIZING_S, null],
+            [Meta.GrabOp.RESIZING_E]: [null, Meta.GrabOp.RESIZING_E],
+            [Meta.GrabOp.RESIZING_W]: [null, Meta.GrabOp.RESIZING_W],
+            [Meta.GrabOp.RESIZING_NE]: [Meta.GrabOp.RESIZING_N, Meta.GrabOp.RESIZING_E],
+            [Meta.GrabOp.RESIZING_NW]: [Meta.GrabOp.RESIZING_N, Meta.GrabOp.RESIZING_W],
+            [Meta.GrabOp.RESIZING_SE]: [Meta.GrabOp.RESIZING_S, Meta.GrabOp.RESIZING_E],
+            [Meta.GrabOp.RESIZING_SW]: [Meta.GrabOp.RESIZING_S, Meta.GrabOp.RESIZING_W]
+        }[grabOp];
+        const getEdgeNeighbors = op => {
+            const dir = {
+                [Meta.GrabOp.RESIZING_N]: Direction.N,
+                [Meta.GrabOp.RESIZING_S]: Direction.S,
+                [Meta.GrabOp.RESIZING_E]: Direction.E,
+                [Meta.GrabOp.RESIZING_W]: Direction.W
+            }[op];
+            return dir
+                ? tileTree.getEdgeNeighbors(window, dir)
+                : { same: [], opposing: [] };
+        };
+        const neighborsV = getEdgeNeighbors(grabOpV);
+        const neighborsH = getEdgeNeighbors(grabOpH);
+
+        tileTree.getWindows().forEach(w => {
+            this._preGrabRects.set(w, new Rect(w.get_frame_rect()));
+
+            if (w === window)
+                return;
+
+            const resizeOp = ResizeOp.createResizeOp(
+                neighborsV.same.includes(w),
+                neighborsV.opposing.includes(w),
+                neighborsH.same.includes(w),
+                neighborsH.opposing.includes(w)
+            );
+            resizeOp && this._resizeOps.set(w, resizeOp);
+        });
+
+        this._sizeChangedId = window.connect('size-changed',
+            this._onResizing.bind(this, window, grabOpV, grabOpH));
+    }
+
     // Update the windows' tiledRects
     _onResizeFinished(window, grabOp) {
         if (this._sizeChangedId) {
@@ -228,6 +294,13 @@ var Handler = class TilingResizeHandler {
             this._sizeChangedId = 0;
         }
 
+        // The entry is only finished, when the main loop is idle again. So
+        // the tiledRects, which are updated below, are still part of it.
+        if (this._isRecording) {
+            Util.finishHistoryEntry();
+            this._isRecording = false;
+        }
+
         if (!window.isTiled)
             return;
 
@@ -277,6 +350,23 @@ var Handler = class TilingResizeHandler {
             newGrabbedTiledRectHeight
         );
 
+        // Move the resized edges in the tree and derive all tiledRects from it.
+        if (this._tileTree) {
+            const tiledRect = window.tiledRect;
+            isResizingN && this._tileTree.moveEdge(window, Direction.N, tiledRect.y);
+            isResizingS && this._tileTree.moveEdge(window, Direction.S, tiledRect.y2);
+            isResizingW && this._tileTree.moveEdge(window, Direction.W, tiledRect.x);
+            isResizingE && this._tileTree.moveEdge(window, Direction.E, tiledRect.x2);
+            this._tileTree.getWindows().forEach(w => {
+                w.tiledRect = this._tileTree.getRectFor(w);
+            });
+
+            this._tileTree = null;
+            this._preGrabRects.clear();
+            this._resizeOps.clear();
+            return;
+        }
+
         // Now calculate the new tiledRects for the windows, which were resized
         // along the window based on the diff of the window's tiledRect pre
         // and after the grab.
@@ -0,0 +1,525 @@
+'use strict';
+
+const { Clutter, GObject, Meta, Pango, Shell, St } = imports.gi;
+const Main = imports.ui.main;
+
+const ExtensionUtils = imports.misc.extensionUtils;
+const Me = ExtensionUtils.getCurrentExtension();
+
+const Rect = Me.imports.src.extension.geometry.Rect;
+
+const TAB_BAR_HEIGHT = 30;
+const TAB_ICON_SIZE = 16;
+
+/**
+ * Helper class for Util:
+ * This class tracks the tab groups. A tab group is a stack of tiled windows,
+ * which share the same tiledRect (a la i3's tabbed containers). Only the
+ * active tab is shown. The other tabs are placed below it and a tab bar above
+ * the windows allows to switch between them. The active tab represents the
+ * tab group in its tile group and TileTree. So the inactive tabs are neither
+ * raised with the tile group nor are they part of the top tile group. If
+ * another tab is activated, it takes over the active tab's place.
+ *
+ * A tab group behaves like one tiled window: if its active tab is tiled to a
+ * new rect, the other tabs follow. An inactive tab, which is tiled elsewhere,
+ * and untiled, maximized or closed tabs leave their tab group.
+ */
+
+var Manager = class TabManager {
+    /**
+     * @param {TileGroupManager} tileGroupManager
+     */
+    constructor(tileGroupManager) {
+        // { windowId1: TabGroup, windowId2: TabGroup, ... }
+        this._tabGroups = new Map();
+        // Don't react to the tiling done by the tab groups themselves.
+        this._isTiling = false;
+        // Don't break up tab groups, which are moved to another workspace
+        // with changeWorkspace().
+        this._isChangingWorkspace = false;
+
+        this._tileGroupManager = tileGroupManager;
+        this._unmanagedId = tileGroupManager.connect('tiled-window-unmanaged',
+            this._onTiledWindowUnmanaged.bind(this));
+        this._focusWindowId = global.display.connect('notify::focus-window',
+            this._onFocusWindowChanged.bind(this));
+        this._restackedId = global.display.connect('restacked',
+            () => this._getTabGroups().forEach(g => g.restack()));
+    }
+
+    destroy() {
+        this._tileGroupManager.disconnect(this._unmanagedId);
+        this._tileGroupManager = null;
+        global.display.disconnect(this._focusWindowId);
+        global.display.disconnect(this._restackedId);
+
+        this._getTabGroups().forEach(g => g.destroy());
+        this._tabGroups.clear();
+    }
+
+    /**
+     * Adds `window` as a tab to `targetWindow`'s tab group and activates it.
+     * A new tab group is created, if `targetWindow` isn't part of one yet.
+     *
+     * @param {Meta.Window} window the Meta.Window to add as a tab.
+     * @param {Meta.Window} targetWindow a tiled Meta.Window.
+     */
+    addTab(window, targetWindow) {
+        if (window === targetWindow || !targetWindow.isTiled || !targetWindow.tiledRect)
+            return;
+
+        if (!window.allows_resize() || !window.allows_move())
+            return;
+
+        const tabGroup = this._tabGroups.get(targetWindow.get_id()) ??
+            new TabGroup(this, targetWindow);
+        if (tabGroup.hasWindow(window)) {
+            tabGroup.activate(window);
+            return;
+        }
+
+        this.removeTab(window);
+        tabGroup.addWindow(window);
+    }
+
+    /**
+     * Removes `window` from its tab group. If it was the active tab, the next
+     * tab takes over its place.
+     *
+     * @param {Meta.Window} window a Meta.Window.
+     */
+    removeTab(window) {
+        this._tabGroups.get(window.get_id())?.removeWindow(window);
+    }
+
+    /**
+     * @param {Meta.Window} window a Meta.Window.
+     * @returns {Meta.Window[]} the tabs of `window`'s tab group or just the
+     *      `window`, if it isn't part of a tab group.
+     */
+    getTabs(window) {
+        return this._tabGroups.get(window.get_id())?.getWindows() ?? [window];
+    }
+
+    /**
+     * Moves `window` and the other tabs of its tab group to `workspace`. The
+     * tab group stays intact unlike when a single tab changes its workspace.
+     *
+     * @param {Meta.Window} window a Meta.Window.
+     * @param {Meta.Workspace} workspace
+     */
+    changeWorkspace(window, workspace) {
+        this._isChangingWorkspace = true;
+        this.getTabs(window).forEach(w => {
+            w.get_workspace() !== workspace && w.change_workspace(workspace);
+        });
+        this._isChangingWorkspace = false;
+    }
+
+    /**
+     * Activates the next (or previous) tab of `window`'s tab group.
+     *
+     * @param {Meta.Window} window a Meta.Window of a tab group.
+     * @param {boolean} [backward=false] activate the previous tab instead.
+     * @returns {Meta.Window} the new active tab.
+     */
+    cycleTabs(window, backward = false) {
+        const tabGroup = this._tabGroups.get(window.get_id());
+        if (!tabGroup)
+            return window;
+
+        const tabs = tabGroup.getWindows();
+        const idx = tabs.indexOf(window) + (backward ? -1 : 1);
+        const newTab = tabs[(idx + tabs.length) % tabs.length];
+        tabGroup.activate(newTab);
+        return newTab;
+    }
+
+    /**
+     * Called by Util.tile() before `window` is tiled to `rect`.
+     *
+     * @param {Meta.Window} window the Meta.Window, which will be tiled.
+     * @param {Rect} rect the Rect `window` will be tiled to.
+     */
+    prepareTiling(window, rect) {
+        const tabGroup = this._tabGroups.get(window.get_id());
+        if (!tabGroup || this._isTiling)
+            return;
+
+        const workArea = new Rect(window.get_work_area_for_monitor(window.get_monitor()));
+        if (window !== tabGroup.getActiveWindow() || rect.equal(workArea))
+            tabGroup.removeWindow(window);
+        else
+            tabGroup.setRect(rect);
+    }
+
+    /**
+     * @param {Meta.Window} window a Meta.Window.
+     * @param {Rect} rect the tiledRect of `window` with the gaps applied.
+     * @returns {Rect} the frame rect of `window`. Tabs make space for the
+     *      tab bar.
+     */
+    getFrameRect(window, rect) {
+        return this._tabGroups.has(window.get_id())
+            ? getTabFrameRect(rect)
+            : rect;
+    }
+
+    _register(window, tabGroup) {
+        this._tabGroups.set(window.get_id(), tabGroup);
+    }
+
+    _unregister(window) {
+        this._tabGroups.delete(window.get_id());
+    }
+
+    _getTabGroups() {
+        return new Set(this._tabGroups.values());
+    }
+
+    _onTiledWindowUnmanaged(tileGroupManager, window, tileGroup) {
+        this._tabGroups.get(window.get_id())?.removeWindow(window, tileGroup);
+    }
+
+    _onFocusWindowChanged() {
+        const window = global.display.focus_window;
+        const tabGroup = window && this._tabGroups.get(window.get_id());
+        tabGroup?.activate(window);
+    }
+};
+
+/**
+ * A stack of tiled windows sharing the same tiledRect. See TabManager.
+ */
+const TabGroup = class TabGroup {
+    /**
+     * @param {TabManager} manager
+     * @param {Meta.Window} window the tiled Meta.Window, which becomes the
+     *      first (and active) tab.
+     */
+    constructor(manager, window) {
+        this._manager = manager;
+        this._windows = [];
+        this._activeWindow = window;
+        this._rect = window.tiledRect.copy();
+        // { window1: [signalId1, signalId2], window2: [...], ... }
+        this._signalIds = new Map();
+        this._visibleBinding = null;
+
+        // The tab bar is stacked with the windows. It's tracked as chrome
+        // so that it's part of the input region on X11. Otherwise, clicks
+        // would go to the X window below it.
+        this._tabBar = new TabBar();
+        global.window_group.add_child(this._tabBar);
+        Main.layoutManager.trackChrome(this._tabBar);
+
+        this._addTab(window);
+    }
+
+    destroy() {
+        [...this._windows].forEach(w => this._removeTab(w));
+        this._visibleBinding?.unbind();
+        this._visibleBinding = null;
+        Main.layoutManager.untrackChrome(this._tabBar);
+        this._tabBar.destroy();
+        this._tabBar = null;
+        this._manager = null;
+    }
+
+    /**
+     * @returns {Meta.Window[]}
+     */
+    getWindows() {
+        return [...this._windows];
+    }
+
+    /**
+     * @returns {Meta.Window}
+     */
+    getActiveWindow() {
+        return this._activeWindow;
+    }
+
+    /**
+     * @param {Meta.Window} window
+     * @returns {boolean}
+     */
+    hasWindow(window) {
+        return this._windows.includes(window);
+    }
+
+    /**
+     * Adds `window` as the new active tab.
+     *
+     * @param {Meta.Window} window
+     */
+    addWindow(window) {
+        const Util = Me.imports.src.extension.utility.Util;
+        const oldActiveWindow = this._activeWindow;
+        this._addTab(window);
+
+        // The new tab takes over the tile group spot of the old active tab.
+        Util.dissolveTileGroup(oldActiveWindow.get_id());
+        this._activeWindow = window;
+        this._manager._isTiling = true;
+        Util.tile(window, this._rect, { openTilingPopup: false });
+        this._manager._isTiling = false;
+
+        this._windows.forEach(w => w !== window && this._placeWindow(w));
+        this._updateTabBar();
+    }
+
+    /**
+     * Removes `window` from the tab group. The tab group is dissolved, if
+     * only one tab is left.
+     *
+     * @param {Meta.Window} window
+     * @param {Meta.Window[]} [tileGroup=null] the remaining tile group of
+     *      `window`, if it was already dissolved (e. g. `window` was closed).
+     */
+    removeWindow(window, tileGroup = null) {
+        const idx = this._windows.indexOf(window);
+        if (idx === -1)
+            return;
+
+        this._removeTab(window);
+
+        if (window === this._activeWindow) {
+            const newActiveWindow = this._windows[Math.min(idx, this._windows.length - 1)];
+            this._replaceInTileGroup(window, newActiveWindow, tileGroup);
+            this._activeWindow = newActiveWindow;
+        }
+
+        if (this._windows.length > 1) {
+            this._updateTabBar();
+            return;
+        }
+
+        // The last window doesn't need a tab bar anymore.
+        const lastWindow = this._windows[0];
+        this.destroy();
+        lastWindow && placeWindow(lastWindow, lastWindow.tiledRect);
+    }
+
+    /**
+     * Shows `window` and lets it take over the place of the old active tab in
+     * its tile group. The tile group is raised with it.
+     *
+     * @param {Meta.Window} window
+     */
+    activate(window) {
+        if (window === this._activeWindow || !this.hasWindow(window))
+            return;
+
+        this._replaceInTileGroup(this._activeWindow, window);
+        this._activeWindow = window;
+        window.raise();
+        this._updateTabBar();
+    }
+
+    /**
+     * Moves all tabs to a new tiledRect. The active tab is tiled by the
+     * caller.
+     *
+     * @param {Rect} rect
+     */
+    setRect(rect) {
+        this._rect = rect.copy();
+        this._windows.forEach(w => w !== this._activeWindow && this._placeWindow(w));
+        this._updateTabBar();
+    }
+
+    /**
+     * Keeps the tab bar right above the active tab.
+     */
+    restack() {
+        const actor = this._activeWindow.get_compositor_private();
+        if (actor && actor.get_parent() === global.window_group)
+            global.window_group.set_child_above_sibling(this._tabBar, actor);
+    }
+
+    _addTab(window) {
+        this._windows.push(window);
+        this._manager._register(window, this);
+        this._tabBar.addTab(window);
+
+        this._signalIds.set(window, [
+            // Closed active tabs are handled via the TileGroupManager's
+            // 'tiled-window-unmanaged' signal since the remaining tile group
+            // is needed to let the next tab take over.
+            window.connect('unmanaged', () => {
+                if (window !== this._activeWindow)
+                    this.removeWindow(window);
+            }),
+            window.connect('workspace-changed', () => {
+                if (!this._manager._isChangingWorkspace)
+                    this.removeWindow(window);
+            })
+        ]);
+    }
+
+    _removeTab(window) {
+        this._signalIds.get(window).forEach(id => window.disconnect(id));
+        this._signalIds.delete(window);
+        this._windows.splice(this._windows.indexOf(window), 1);
+        this._manager._unregister(window);
+        this._tabBar.removeTab(window);
+    }
+
+    /**
+     * @param {Meta.Window} oldWindow the Meta.Window, which leaves the tile
+     *      group.
+     * @param {Meta.Window} newWindow the Meta.Window, which takes its place.
+     * @param {Meta.Window[]} [tileGroup=null] the tile group of `oldWindow`.
+     *      By default, the TileGroupManager's group is used.
+     */
+    _replaceInTileGroup(oldWindow, newWindow, tileGroup = null) {
+        const Util = Me.imports.src.extension.utility.Util;
+        const oldWindowId = oldWindow.get_id();
+        tileGroup = tileGroup ?? (Util.getTileGroups().has(oldWindowId)
+            ? Util.getTileGroupFor(oldWindow)
+            : []);
+
+        newWindow.isTiled = true;
+        newWindow.tiledRect = this._rect.copy();
+        Util.dissolveTileGroup(oldWindowId);
+        Util.updateTileGroup([...tileGroup.filter(w => w !== oldWindow), newWindow]);
+    }
+
+    _placeWindow(window) {
+        window.isTiled = true;
+        window.tiledRect = this._rect.copy();
+        placeWindow(window, this._rect, true);
+    }
+
+    _updateTabBar() {
+        const monitor = global.display.get_monitor_index_for_rect(this._rect.meta);
+        const workArea = new Rect(this._activeWindow.get_work_area_for_monitor(monitor));
+        const Util = Me.imports.src.extension.utility.Util;
+        const { x, y, width } = Util.getRectWithGap(this._rect, workArea);
+        this._tabBar.set_position(x, y);
+        this._tabBar.set_size(width, getTabBarHeight());
+        this._tabBar.setActiveTab(this._activeWindow);
+
+        // Hide the tab bar with its active tab, e. g. on other workspaces.
+        this._visibleBinding?.unbind();
+        this._visibleBinding = this._activeWindow.get_compositor_private()
+            ?.bind_property('visible', this._tabBar, 'visible',
+                GObject.BindingFlags.SYNC_CREATE) ?? null;
+
+        this.restack();
+    }
+};
+
+/**
+ * The bar above a tab group with a button for each tab. Clicking a tab
+ * activates its window. Middle-clicking it closes the window.
+ */
+const TabBar = GObject.registerClass(class TilingTabBar extends St.BoxLayout {
+    _init() {
+        super._init({
+            style_class: 'tiling-tab-bar',
+            reactive: true
+        });
+
+        // { window1: { button, titleId }, window2: { ... }, ... }
+        this._tabs = new Map();
+
+        this.connect('destroy', this._onDestroy.bind(this));
+    }
+
+    _onDestroy() {
+        this._tabs.forEach(({ titleId }, window) => window.disconnect(titleId));
+        this._tabs.clear();
+    }
+
+    /**
+     * @param {Meta.Window} window
+     */
+    addTab(window) {
+        const app = Shell.WindowTracker.get_default().get_window_app(window);
+        const scaleFactor = St.ThemeContext.get_for_stage(global.stage).scale_factor;
+        const label = new St.Label({
+            text: window.get_title() ?? '',
+            y_align: Clutter.ActorAlign.CENTER
+        });
+        label.clutter_text.set_ellipsize(Pango.EllipsizeMode.END);
+
+        const box = new St.BoxLayout({ style_class: 'tiling-tab-box' });
+        app && box.add_child(app.create_icon_texture(TAB_ICON_SIZE * scaleFactor));
+        box.add_child(label);
+
+        const button = new St.Button({
+            style_class: 'tiling-tab',
+            child: box,
+            x_expand: true,
+            button_mask: St.ButtonMask.ONE | St.ButtonMask.TWO
+        });
+        button.connect('clicked', (b, clickedButton) => {
+            if (clickedButton === Clutter.BUTTON_MIDDLE)
+                window.delete(global.get_current_time());
+            else
+                Main.activateWindow(window);
+        });
+        this.add_child(button);
+
+        const titleId = window.connect('notify::title',
+            () => label.set_text(window.get_title() ?? ''));
+        this._tabs.set(window, { button, titleId });
+    }
+
+    /**
+     * @param {Meta.Window} window
+     */
+    removeTab(window) {
+        const tab = this._tabs.get(window);
+        if (!tab)
+            return;
+
+        window.disconnect(tab.titleId);
+        tab.button.destroy();
+        this._tabs.delete(window);
+    }
+
+    /**
+     * @param {Meta.Window} window
+     */
+    setActiveTab(window) {
+        this._tabs.forEach(({ button }, w) => (button.checked = w === window));
+    }
+});
+
+/**
+ * @returns {number} the height of the tab bar in pixels.
+ */
+function getTabBarHeight() {
+    return TAB_BAR_HEIGHT * St.ThemeContext.get_for_stage(global.stage).scale_factor;
+}
+
+/**
+ * @param {Rect} rect a tiledRect with the gaps applied.
+ * @returns {Rect} the part of `rect` below the tab bar.
+ */
+function getTabFrameRect(rect) {
+    const tabBarHeight = getTabBarHeight();
+    return new Rect(rect.x, rect.y + tabBarHeight, rect.width, rect.height - tabBarHeight);
+}
+
+/**
+ * Moves `window` to `rect` without touching its tile group.
+ *
+ * @param {Meta.Window} window
+ * @param {Rect} rect a tiledRect.
+ * @param {boolean} [belowTabBar=false] leave space for the tab bar.
+ */
+function placeWindow(window, rect, belowTabBar = false) {
+    const Util = Me.imports.src.extension.utility.Util;
+    const monitor = global.display.get_monitor_index_for_rect(rect.meta);
+    const workArea = new Rect(window.get_work_area_for_monitor(monitor));
+    const gapRect = Util.getRectWithGap(rect, workArea);
+    const { x, y, width, height } = belowTabBar ? getTabFrameRect(gapRect) : gapRect;
+
+    Meta.is_wayland_compositor() && window.move_frame(false, x, y);
+    window.move_resize_frame(false, x, y, width, height);
+}
@@ -6,8 +6,15 @@ const Main = imports.ui.main;
 const ExtensionUtils = imports.misc.extensionUtils;
 const Me = ExtensionUtils.getCurrentExtension();
 
-const { Direction, Orientation, Settings } = Me.imports.src.common;
+const {
+    Direction,
+    Orientation,
+    Settings,
+    TileEditingModeActions: Actions,
+    TileGroupTransforms
+} = Me.imports.src.common;
 const Rect = Me.imports.src.extension.geometry.Rect;
+const TileTree = Me.imports.src.extension.tileTree.TileTree;
 const Util = Me.imports.src.extension.utility.Util;
 
 const Gettext = imports.gettext;
@@ -15,19 +22,59 @@ const Domain = Gettext.domain(Me.metadata.uuid);
 const _ = Domain.gettext;
 
 const SCALE_SIZE = 100;
+// The distance to a tile's edge, in which the edge can be grabbed with the
+// pointer to resize the tile.
+const EDGE_GRAB_SIZE = 12;
+// The minimum size of the tiles, when resizing them with the pointer.
+const MIN_TILE_SIZE = 100;
 const Modes = {
     DEFAULT: 1,
     SWAP: 2,
     RESIZE: 4,
     CLOSE: 16
 };
+// The masks and keys of the modifiers, which the modes can be mapped to.
+// See TileEditingModeActions.MODIFIERS.
+const Modifiers = {
+    Control: {
+        mask: Clutter.ModifierType.CONTROL_MASK,
+        keyVals: [Clutter.KEY_Control_L, Clutter.KEY_Control_R]
+    },
+    Alt: {
+        mask: Clutter.ModifierType.MOD1_MASK,
+        keyVals: [Clutter.KEY_Alt_L, Clutter.KEY_Alt_R, Clutter.KEY_Meta_L, Clutter.KEY_Meta_R]
+    },
+    Super: {
+        mask: Clutter.ModifierType.MOD4_MASK,
+        keyVals: [Clutter.KEY_Super_L, Clutter.KEY_Super_R]
+    },
+    Shift: {
+        mask: Clutter.ModifierType.SHIFT_MASK,
+        keyVals: [Clutter.KEY_Shift_L, Clutter.KEY_Shift_R]
+    }
+};
+// The labels of the keys, which can't be derived from their unicode char.
+const KeyLabels = {
+    Up: '↑',
+    Down: '↓',
+    Left: '←',
+    Right: '→',
+    Return: 'Enter',
+    space: 'Space',
+    Escape: 'Esc',
+    Tab: 'Tab',
+    ISO_Left_Tab: 'Shift+Tab',
+    Control: 'Ctrl'
+};
 
 /**
  * Classes for the 'Tile Editing Mode'. A mode to manage your tiled windows
- * with your keyboard (and only the keyboard). The Tile Editor gets instanced
- * as soon as the keyboard shortcut is activated. The Handler classes are
- * basically modes / states for the Tile Editor each with a 'on key press' and
- * 'on key released' function.
+ * with your keyboard. The pointer works as well: clicking selects a tile,
+ * dragging a tile onto another swaps them, dragging at the edges resizes
+ * the tiles and right-clicking a free rect opens the Tiling Popup there.
+ * The Tile Editor gets instanced as soon as the keyboard shortcut is
+ * activated. The Handler classes are basically modes / states for the Tile
+ * Editor each with a 'on key press' and 'on key released' function.
  */
 
 var TileEditor = GObject.registerClass(
@@ -52,6 +99,13 @@ class TileEditingMode extends St.Widget {
         this._mode = Modes.DEFAULT;
         // Handler of keyboard events depending on the mode.
         this._keyHandler = null;
+        // The keys of the actions. They are read once so that changing them
+        // in the prefs applies the next time the Tile Editor is opened.
+        this._keyMap = new KeyMap();
+        // The state of a drag with the pointer (to swap or resize tiles):
+        // { window, edge, startX, startY, isSwapping }. The edge is only set,
+        // if the drag resizes the window.
+        this._pointerDrag = null;
 
         Main.uiGroup.add_child(this);
     }
@@ -90,9 +144,20 @@ class TileEditingMode extends St.Widget {
         this._selectIndicator.focus(window.tiledRect, window);
         this.add_child(this._selectIndicator);
 
+        // Create the legend listing the keys of the current mode.
+        const monitor = global.display.get_current_monitor();
+        const display = global.display.get_monitor_geometry(monitor);
+        const activeWs = global.workspace_manager.get_active_workspace();
+        const workArea = new Rect(activeWs.get_work_area_for_monitor(monitor));
+        this._legend = new Legend(new Rect(workArea.x - display.x,
+            workArea.y - display.y, workArea.width, workArea.height));
+        this._legend.visible = Settings.getBoolean(Settings.TILE_EDITING_MODE_LEGEND);
+        this.add_child(this._legend);
+
         // Enter initial state.
         this._mode = Modes.DEFAULT;
         this._keyHandler = new DefaultKeyHandler(this);
+        this._updateLegend();
     }
 
     close() {
@@ -102,6 +167,9 @@ class TileEditingMode extends St.Widget {
         }
 
         this._windows = [];
+        // Let the current mode clean up, e. g. if the Tile Editing Mode is
+        // closed with a click.
+        this._keyHandler?.prepareLeave();
         this._keyHandler = null;
 
         // this._selectIndicator may be undefined, if Tile Editing Mode is
@@ -119,23 +187,88 @@ class TileEditingMode extends St.Widget {
         }) ?? this.destroy();
     }
 
-    vfunc_button_press_event() {
-        this.close();
+    vfunc_button_press_event(buttonEvent) {
+        // Keep the behaviour of the key modes (e. g. while Ctrl is held).
+        if (this._mode !== Modes.DEFAULT || this._pointerDrag)
+            return Clutter.EVENT_STOP;
+
+        const { x, y, button } = buttonEvent;
+        const rect = this._getScreenRects().find(r => r.containsPoint({ x, y }));
+        if (!rect) {
+            this.close();
+            return Clutter.EVENT_STOP;
+        }
+
+        const window = this._windows.find(w => w.tiledRect.equal(rect)) ?? null;
+        this._selectIndicator.focus(rect, window);
+
+        if (button === Clutter.BUTTON_SECONDARY) {
+            // Open the Tiling Popup on a free spot just like Enter does.
+            !window && this._keyHandler.openTilingPopup();
+        } else if (button === Clutter.BUTTON_PRIMARY && window) {
+            const edge = this._getEdgeAt(window, x, y);
+            this._pointerDrag = { window, edge, startX: x, startY: y, isSwapping: false };
+            edge && this._switchMode(Modes.RESIZE);
+        }
+
+        return Clutter.EVENT_STOP;
+    }
+
+    vfunc_motion_event(motionEvent) {
+        const drag = this._pointerDrag;
+        if (!drag)
+            return Clutter.EVENT_PROPAGATE;
+
+        const { x, y } = motionEvent;
+
+        // Drag the boundary between tiles to resize them.
+        if (drag.edge) {
+            const pos = [Direction.N, Direction.S].includes(drag.edge) ? y : x;
+            this._keyHandler.resizeEdgeTo(drag.window, drag.edge, pos);
+            return Clutter.EVENT_STOP;
+        }
+
+        // Drag a tile onto another to swap them.
+        if (!drag.isSwapping) {
+            const threshold = Clutter.Settings.get_default().dnd_drag_threshold;
+            if (Math.abs(x - drag.startX) < threshold && Math.abs(y - drag.startY) < threshold)
+                return Clutter.EVENT_STOP;
+
+            drag.isSwapping = true;
+            this._switchMode(Modes.SWAP);
+        }
+
+        const rect = this._getScreenRects().find(r => r.containsPoint({ x, y }));
+        if (rect && !rect.equal(this._selectIndicator.rect)) {
+            const window = this._windows.find(w => w.tiledRect.equal(rect));
+            this._selectIndicator.focus(rect, window);
+        }
+
+        return Clutter.EVENT_STOP;
+    }
+
+    vfunc_button_release_event() {
+        const drag = this._pointerDrag;
+        if (!drag)
+            return Clutter.EVENT_PROPAGATE;
+
+        this._pointerDrag = null;
+        drag.isSwapping && this._keyHandler.swap();
+        this._switchMode(Modes.DEFAULT);
+        return Clutter.EVENT_STOP;
     }
 
     vfunc_key_press_event(keyEvent) {
-        const mods = keyEvent.modifier_state;
-        const isCtrlPressed = mods & Clutter.ModifierType.CONTROL_MASK;
-        const isSuperPressed = mods & Clutter.ModifierType.MOD4_MASK;
+        // Don't switch the mode in the middle of a drag.
+        if (this._pointerDrag)
+            return;
 
-        let newMode;
+        if (this._keyMap.is(keyEvent.keyval, Actions.TOGGLE_LEGEND)) {
+            this._toggleLegend();
+            return;
+        }
 
-        if (isSuperPressed)
-            newMode = Modes.RESIZE;
-        else if (isCtrlPressed)
-            newMode = Modes.SWAP;
-        else
-            newMode = Modes.DEFAULT;
+        let newMode = this._keyMap.getMode(keyEvent.modifier_state);
 
         // First switch mode, if a new mod is pressed.
         if (newMode !== this._mode)
@@ -149,6 +282,9 @@ class TileEditingMode extends St.Widget {
     }
 
     vfunc_key_release_event(keyEvent) {
+        if (this._pointerDrag)
+            return;
+
         const newMode = this._keyHandler.handleKeyRelease(keyEvent);
         if (newMode !== this._mode)
             this._switchMode(newMode);
@@ -158,6 +294,11 @@ class TileEditingMode extends St.Widget {
         if (!newMode)
             return;
 
+        if (newMode === Modes.CLOSE) {
+            this.close();
+            return;
+        }
+
         this._mode = newMode;
         this._keyHandler.prepareLeave();
 
@@ -170,10 +311,232 @@ class TileEditingMode extends St.Widget {
                 break;
             case Modes.RESIZE:
                 this._keyHandler = new ResizeKeyHandler(this);
-                break;
-            case Modes.CLOSE:
-                this.close();
         }
+
+        this._updateLegend();
+    }
+
+    /**
+     * @returns {Rect[]} the rects of the edited windows and the free rects
+     *      of the work area.
+     */
+    _getScreenRects() {
+        // The free leaves of the tree keep the spots created by splitting
+        // tiles apart. See DefaultKeyHandler._split().
+        const tileTree = Util.getTileTreeFor(this._windows[0]);
+        if (tileTree && this._windows.every(w => tileTree.getLeafFor(w)))
+            return tileTree.getLeaves().map(l => l.rect.copy());
+
+        const activeWs = global.workspace_manager.get_active_workspace();
+        const monitor = global.display.get_current_monitor();
+        const workArea = new Rect(activeWs.get_work_area_for_monitor(monitor));
+        const tiledRects = this._windows.map(w => w.tiledRect);
+        return tiledRects.concat(workArea.minus(tiledRects));
+    }
+
+    /**
+     * @param {Meta.Window} window
+     * @param {number} x
+     * @param {number} y
+     * @returns {Direction|null} the edge of `window`'s tile, which is near
+     *      the point. Edges at the screen edges can't be resized.
+     */
+    _getEdgeAt(window, x, y) {
+        const rect = window.tiledRect;
+        const workArea = new Rect(window.get_work_area_current_monitor());
+        const scaleFactor = St.ThemeContext.get_for_stage(global.stage).scale_factor;
+        const grabSize = EDGE_GRAB_SIZE * scaleFactor;
+
+        if (y - rect.y <= grabSize && rect.y > workArea.y)
+            return Direction.N;
+        else if (rect.y2 - y <= grabSize && rect.y2 < workArea.y2)
+            return Direction.S;
+        else if (x - rect.x <= grabSize && rect.x > workArea.x)
+            return Direction.W;
+        else if (rect.x2 - x <= grabSize && rect.x2 < workArea.x2)
+            return Direction.E;
+        else
+            return null;
+    }
+
+    _toggleLegend() {
+        const visible = !this._legend.visible;
+        this._legend.visible = visible;
+        Settings.setBoolean(Settings.TILE_EDITING_MODE_LEGEND, visible);
+    }
+
+    _updateLegend() {
+        const { title, entries } = this._keyHandler.getLegend();
+        // Actions without keys aren't listed.
+        this._legend.update(title, entries.filter(([keys]) => keys));
+    }
+});
+
+/**
+ * The keys of the Tile Editing Mode's actions. See the tile-editing-mode-keys
+ * setting and TileEditingModeActions.
+ */
+const KeyMap = class TileEditingModeKeyMap {
+    constructor() {
+        // Fall back to the default keys for actions, which are missing in
+        // the setting (e. g. if it was changed with dconf).
+        const key = Settings.TILE_EDITING_MODE_KEYS;
+        const defaultKeys = Settings.getGioObject().get_default_value(key).deepUnpack();
+        const keys = { ...defaultKeys, ...Settings.getValue(key) };
+        // { action1: [keyName1, keyName2, ...], action2: [...], ... }
+        this._names = keys;
+
+        // { action1: [keyVal1, keyVal2, ...], action2: [...], ... }
+        this._keyVals = {};
+        // { mode action1: modifier mask, ... }
+        this._modMasks = {};
+
+        Object.entries(keys).forEach(([action, names]) => {
+            if (Actions.isMode(action)) {
+                const modifiers = names.map(n => Modifiers[n]).filter(m => m);
+                this._keyVals[action] = modifiers.flatMap(m => m.keyVals);
+                this._modMasks[action] = modifiers.reduce((mask, m) => mask | m.mask, 0);
+            } else {
+                this._keyVals[action] = names.flatMap(n => this._getKeyVals(n));
+            }
+        });
+    }
+
+    /**
+     * @param {number} keyVal
+     * @param {string} action a TileEditingModeActions.
+     * @returns {boolean} wether `keyVal` is mapped to `action`. For the mode
+     *      actions that means, if `keyVal` is one of the modifier keys.
+     */
+    is(keyVal, action) {
+        return !!this._keyVals[action]?.includes(keyVal);
+    }
+
+    /**
+     * @param {number} keyVal
+     * @returns {Direction|null} the direction, which `keyVal` is mapped to.
+     */
+    getDirection(keyVal) {
+        if (this.is(keyVal, Actions.FOCUS_UP))
+            return Direction.N;
+        else if (this.is(keyVal, Actions.FOCUS_DOWN))
+            return Direction.S;
+        else if (this.is(keyVal, Actions.FOCUS_LEFT))
+            return Direction.W;
+        else if (this.is(keyVal, Actions.FOCUS_RIGHT))
+            return Direction.E;
+        else
+            return null;
+    }
+
+    /**
+     * @param {string} action a TileEditingModeActions.
+     * @returns {string} the labels of the keys of `action` for the legend.
+     */
+    getLabel(action) {
+        return (this._names[action] ?? []).map(n => this._getKeyLabel(n)).join(' / ');
+    }
+
+    /**
+     * @returns {string} the labels of the first key of each direction for
+     *      the legend. Listing all keys of the directions would be too long.
+     */
+    getDirectionsLabel() {
+        const directions = [Actions.FOCUS_UP, Actions.FOCUS_DOWN, Actions.FOCUS_LEFT,
+            Actions.FOCUS_RIGHT];
+        const names = directions.map(d => this._names[d]?.[0]);
+        return names.every(n => n)
+            ? names.map(n => this._getKeyLabel(n)).join(' ')
+            : '';
+    }
+
+    /**
+     * @param {number} modState the Clutter.ModifierType of a key event.
+     * @returns {Modes} the mode, which the pressed modifiers activate.
+     */
+    getMode(modState) {
+        if (modState & this._modMasks[Actions.RESIZE_MODE])
+            return Modes.RESIZE;
+        else if (modState & this._modMasks[Actions.SWAP_MODE])
+            return Modes.SWAP;
+        else
+            return Modes.DEFAULT;
+    }
+
+    /**
+     * @param {string} name a key name like 'Up' or 'e'.
+     * @returns {number[]} the keyVals of `name`. Letters are mapped to their
+     *      lower and upper case keyVals since the Shift key may be held.
+     */
+    _getKeyVals(name) {
+        const names = name.length === 1
+            ? [name.toLowerCase(), name.toUpperCase()]
+            : [name];
+        return names.map(n => Clutter[`KEY_${n}`]).filter(k => k !== undefined);
+    }
+
+    /**
+     * @param {string} name a key name like 'Up' or 'e'.
+     * @returns {string} a label like '↑' or 'E'.
+     */
+    _getKeyLabel(name) {
+        if (KeyLabels[name])
+            return KeyLabels[name];
+
+        const unicode = Clutter.keysym_to_unicode(Clutter[`KEY_${name}`] ?? 0);
+        return unicode > 32 ? String.fromCodePoint(unicode).toUpperCase() : name;
+    }
+};
+
+/**
+ * Lists the keys of the current mode. It's placed in the bottom-right corner
+ * of the work area.
+ */
+const Legend = GObject.registerClass(class TileEditingModeLegend extends St.Bin {
+    /**
+     * @param {Rect} rect the work area relative to the Tile Editor.
+     */
+    _init(rect) {
+        super._init({
+            style_class: 'tile-editing-mode-legend-area',
+            x: rect.x,
+            y: rect.y,
+            width: rect.width,
+            height: rect.height
+        });
+
+        this._box = new St.BoxLayout({
+            style_class: 'tile-editing-mode-legend',
+            vertical: true,
+            x_expand: true,
+            y_expand: true,
+            x_align: Clutter.ActorAlign.END,
+            y_align: Clutter.ActorAlign.END
+        });
+        this.set_child(this._box);
+    }
+
+    /**
+     * @param {string} title the name of the current mode.
+     * @param {string[][]} entries the [keys, description] pairs of the
+     *      current mode.
+     */
+    update(title, entries) {
+        this._box.destroy_all_children();
+        this._box.add_child(new St.Label({
+            style_class: 'tile-editing-mode-legend-title',
+            text: title
+        }));
+
+        entries.forEach(([keys, description]) => {
+            const row = new St.BoxLayout({ style_class: 'tile-editing-mode-legend-row' });
+            row.add_child(new St.Label({
+                style_class: 'tile-editing-mode-legend-keys',
+                text: keys
+            }));
+            row.add_child(new St.Label({ text: description }));
+            this._box.add_child(row);
+        });
     }
 });
 
@@ -254,14 +617,44 @@ const DefaultKeyHandler = class DefaultKeyHandler {
      */
     handleKeyPress(keyEvent) {
         const keyVal = keyEvent.keyval;
-
-        // [Directions] to move focus with WASD, hjkl or arrow keys
-        const dir = Util.getDirection(keyVal);
+        const split = [
+            [Actions.SPLIT_VERTICALLY, Orientation.V, 2],
+            [Actions.SPLIT_HORIZONTALLY, Orientation.H, 2],
+            [Actions.SPLIT_VERTICALLY_THIRDS, Orientation.V, 3],
+            [Actions.SPLIT_HORIZONTALLY_THIRDS, Orientation.H, 3]
+        ].find(([action]) => this._keyMap.is(keyVal, action));
+        const transform = [
+            [Actions.ROTATE, TileGroupTransforms.ROTATE],
+            [Actions.MIRROR_HORIZONTALLY, TileGroupTransforms.MIRROR_HORIZONTALLY],
+            [Actions.MIRROR_VERTICALLY, TileGroupTransforms.MIRROR_VERTICALLY],
+            [Actions.BALANCE, TileGroupTransforms.BALANCE]
+        ].find(([action]) => this._keyMap.is(keyVal, action))?.[1];
+
+        // [Directions] to move focus (default: WASD, hjkl or arrow keys)
+        const dir = this._keyMap.getDirection(keyVal);
         if (dir) {
             this._focusInDir(dir);
 
+        // [\ / -] to split the selected tile into halves and [| / _] into
+        // thirds. The new parts are free screen space.
+        } else if (split) {
+            const [, orientation, count] = split;
+            this._split(orientation, count);
+
+        // [T]urn, [F]lip, mirror [V]ertically or [B]alance the tile group
+        } else if (transform) {
+            if (!Util.transformTileGroup(this._windows, transform))
+                return Modes.DEFAULT;
+
+            // Follow the selected window or the spot at its new position.
+            const { window, rect } = this._selectIndicator;
+            const newRect = window?.tiledRect ?? this._tileEditor._getScreenRects()
+                .find(r => r.containsPoint(rect.center)) ?? this._windows[0].tiledRect;
+            const newWindow = this._windows.find(w => w.tiledRect.equal(newRect));
+            this._selectIndicator.focus(newRect, newWindow);
+
         // [E]xpand to fill the available space
-        } else if (keyVal === Clutter.KEY_e || keyVal === Clutter.KEY_E) {
+        } else if (this._keyMap.is(keyVal, Actions.EXPAND)) {
             const window = this._selectIndicator.window;
             if (!window)
                 return Modes.DEFAULT;
@@ -284,7 +677,7 @@ const DefaultKeyHandler = class DefaultKeyHandler {
             this._selectIndicator.focus(window.tiledRect, window);
 
         // [C]ycle through halves of the available space around the window
-        } else if (keyVal === Clutter.KEY_c || keyVal === Clutter.KEY_C) {
+        } else if (this._keyMap.is(keyVal, Actions.CYCLE)) {
             const window = this._selectIndicator.window;
             if (!window)
                 return Modes.DEFAULT;
@@ -303,75 +696,93 @@ const DefaultKeyHandler = class DefaultKeyHandler {
             this._selectIndicator.focus(window.tiledRect, window);
 
         // [Q]uit a window
-        } else if (keyVal === Clutter.KEY_q || keyVal === Clutter.KEY_Q) {
+        } else if (this._keyMap.is(keyVal, Actions.QUIT)) {
             const window = this._selectIndicator.window;
             if (!window)
                 return Modes.DEFAULT;
 
-            this._windows.splice(this._windows.indexOf(window), 1);
+            // The next tab takes over the spot of a tabbed window.
+            const nextTab = this._cycleTabs(window);
+            nextTab || this._windows.splice(this._windows.indexOf(window), 1);
             window.delete(global.get_current_time());
-            const newWindow = this._windows[0];
+            const newWindow = nextTab ?? this._windows[0];
             if (!newWindow)
                 return Modes.CLOSE;
 
             this._selectIndicator.focus(newWindow.tiledRect, newWindow);
 
         // [R]estore a window's size
-        } else if (keyVal === Clutter.KEY_r || keyVal === Clutter.KEY_R) {
+        } else if (this._keyMap.is(keyVal, Actions.RESTORE)) {
             const window = this._selectIndicator.window;
             if (!window)
                 return Modes.DEFAULT;
 
             const selectedRect = window.tiledRect.copy();
-            this._windows.splice(this._windows.indexOf(window), 1);
+            const nextTab = this._cycleTabs(window);
+            nextTab || this._windows.splice(this._windows.indexOf(window), 1);
             Util.untile(window);
             if (!this._windows.length)
                 return Modes.CLOSE;
 
             // Re-raise tile group, so it isn't below the just-untiled window
             this._windows[0].raise();
-            this._selectIndicator.focus(selectedRect, null);
+            this._selectIndicator.focus(selectedRect, nextTab);
+
+        // [Tab] / [Shift + Tab] to switch to the next / previous tab
+        } else if (this._keyMap.is(keyVal, Actions.NEXT_TAB) ||
+                this._keyMap.is(keyVal, Actions.PREVIOUS_TAB)) {
+            const window = this._selectIndicator.window;
+            const backward = this._keyMap.is(keyVal, Actions.PREVIOUS_TAB);
+            const newTab = window && this._cycleTabs(window, backward);
+            if (!newTab)
+                return Modes.DEFAULT;
+
+            this._selectIndicator.focus(newTab.tiledRect, newTab);
 
         // [Esc]ape Tile Editing Mode
-        } else if (keyVal === Clutter.KEY_Escape) {
+        } else if (this._keyMap.is(keyVal, Actions.CLOSE)) {
             return Modes.CLOSE;
 
         // [Enter / Space] to activate
-        } else if (keyVal === Clutter.KEY_Return || keyVal === Clutter.KEY_space) {
+        } else if (this._keyMap.is(keyVal, Actions.ACTIVATE)) {
             // a window: quit Tile Editing Mode
-            const window = this._selectIndicator.window;
-            if (window) {
+            if (this._selectIndicator.window)
                 return Modes.CLOSE;
 
             // an empty spot: open Tiling Popup
-            } else {
-                const notEditing = w => !this._windows.includes(w);
-                const allWs = Settings.getBoolean(Settings.POPUP_ALL_WORKSPACES);
-                const openWindows = Util.getWindows(allWs).filter(notEditing);
-                const { TilingSwitcherPopup } = Me.imports.src.extension.tilingPopup;
-                const tilingPopup = new TilingSwitcherPopup(
-                    openWindows,
-                    this._selectIndicator.rect,
-                    false
-                );
-
-                if (!tilingPopup.show(this._windows)) {
-                    tilingPopup.destroy();
-                    return Modes.DEFAULT;
-                }
+            this.openTilingPopup();
+        }
 
-                tilingPopup.connect('closed', (popup, canceled) => {
-                    if (canceled)
-                        return;
+        return Modes.DEFAULT;
+    }
 
-                    const { tiledWindow } = popup;
-                    this._windows.unshift(tiledWindow);
-                    this._selectIndicator.focus(tiledWindow.tiledRect, tiledWindow);
-                });
-            }
+    /**
+     * Opens the Tiling Popup to tile a window to the selected free spot.
+     */
+    openTilingPopup() {
+        const notEditing = w => !this._windows.includes(w);
+        const allWs = Settings.getBoolean(Settings.POPUP_ALL_WORKSPACES);
+        const openWindows = Util.getWindows(allWs).filter(notEditing);
+        const { TilingSwitcherPopup } = Me.imports.src.extension.tilingPopup;
+        const tilingPopup = new TilingSwitcherPopup(
+            openWindows,
+            this._selectIndicator.rect,
+            false
+        );
+
+        if (!tilingPopup.show(this._windows)) {
+            tilingPopup.destroy();
+            return;
         }
 
-        return Modes.DEFAULT;
+        tilingPopup.connect('closed', (popup, canceled) => {
+            if (canceled)
+                return;
+
+            const { tiledWindow } = popup;
+            this._windows.unshift(tiledWindow);
+            this._selectIndicator.focus(tiledWindow.tiledRect, tiledWindow);
+        });
     }
 
     /**
@@ -384,17 +795,52 @@ const DefaultKeyHandler = class DefaultKeyHandler {
         return Modes.DEFAULT;
     }
 
+    /**
+     * Automatically called after entering a mode.
+     *
+     * @returns {{title: string, entries: string[][]}} the name of the mode
+     *      and the [keys, description] pairs for the legend.
+     */
+    getLegend() {
+        const keys = action => this._keyMap.getLabel(action);
+        const hold = action => keys(action) && _('Hold %s').format(keys(action));
+        const either = (...actions) => actions.map(keys).filter(k => k).join(' / ');
+
+        return {
+            title: _('Tile Editing Mode'),
+            entries: [
+                [this._keyMap.getDirectionsLabel(), _('Select a window or free space')],
+                [keys(Actions.EXPAND), _('Expand into the free space')],
+                [keys(Actions.CYCLE), _('Cycle through halves')],
+                [keys(Actions.QUIT), _('Close the window')],
+                [keys(Actions.RESTORE), _('Untile the window')],
+                [either(Actions.SPLIT_VERTICALLY, Actions.SPLIT_HORIZONTALLY),
+                    _('Split into halves')],
+                [either(Actions.SPLIT_VERTICALLY_THIRDS, Actions.SPLIT_HORIZONTALLY_THIRDS),
+                    _('Split into thirds')],
+                [keys(Actions.ROTATE), _('Rotate the layout')],
+                [either(Actions.MIRROR_HORIZONTALLY, Actions.MIRROR_VERTICALLY),
+                    _('Mirror the layout')],
+                [keys(Actions.BALANCE), _('Balance the tile sizes')],
+                [either(Actions.NEXT_TAB, Actions.PREVIOUS_TAB), _('Switch tabs')],
+                [keys(Actions.ACTIVATE), _('Focus window or open the Tiling Popup')],
+                [hold(Actions.SWAP_MODE), _('Swap windows')],
+                [hold(Actions.RESIZE_MODE), _('Resize the window')],
+                [_('Drag'), _('Swap windows or resize at the edges')],
+                [_('Right-click'), _('Open the Tiling Popup on free space')],
+                [keys(Actions.CLOSE), _('Leave')],
+                [keys(Actions.TOGGLE_LEGEND), _('Hide this legend')]
+            ]
+        };
+    }
+
     /**
      * Move the the selection indicator towards direction of `dir`.
      *
      * @param {Direction} dir
      */
     _focusInDir(dir) {
-        const activeWs = global.workspace_manager.get_active_workspace();
-        const monitor = global.display.get_current_monitor();
-        const workArea = new Rect(activeWs.get_work_area_for_monitor(monitor));
-        const tiledRects = this._windows.map(w => w.tiledRect);
-        const screenRects = tiledRects.concat(workArea.minus(tiledRects));
+        const screenRects = this._tileEditor._getScreenRects();
         const nearestRect = this._selectIndicator.rect.getNeighbor(dir, screenRects);
         if (!nearestRect)
             return;
@@ -403,6 +849,62 @@ const DefaultKeyHandler = class DefaultKeyHandler {
         this._selectIndicator.focus(newWindow?.tiledRect ?? nearestRect, newWindow);
     }
 
+    /**
+     * Splits the selected tile into `count` equally sized parts. A selected
+     * window keeps the first part. The other parts become free screen space
+     * and the selection moves to the first of them, so that the Tiling Popup
+     * can be opened there right away. The parts are kept apart by the tile
+     * group's tree.
+     *
+     * @param {Orientation} orientation
+     * @param {number} count
+     */
+    _split(orientation, count) {
+        const { rect, window } = this._selectIndicator;
+        const size = orientation === Orientation.V ? rect.width : rect.height;
+        if (size / count < MIN_TILE_SIZE)
+            return;
+
+        const activeWs = global.workspace_manager.get_active_workspace();
+        const monitor = global.display.get_current_monitor();
+        const workArea = new Rect(activeWs.get_work_area_for_monitor(monitor));
+        const tileTree = Util.getTileTreeFor(this._windows[0])?.clone() ??
+            TileTree.build(this._windows, workArea);
+        const leaf = tileTree?.getLeafAt(rect);
+        if (!leaf)
+            return;
+
+        const newLeaves = tileTree.splitLeafEvenly(leaf, orientation, count);
+        if (window)
+            Util.tile(window, leaf.rect, { openTilingPopup: false, tileTree });
+        else
+            Util.updateTileGroup(this._windows, tileTree);
+
+        this._selectIndicator.focus(newLeaves[0].rect, null);
+    }
+
+    /**
+     * Activates the next (or previous) tab, if `window` is part of a tab
+     * group. The new tab takes over `window`'s place in the edited windows.
+     *
+     * @param {Meta.Window} window
+     * @param {boolean} [backward=false]
+     * @returns {Meta.Window|null} the new active tab or null, if `window`
+     *      isn't part of a tab group.
+     */
+    _cycleTabs(window, backward = false) {
+        if (Util.getTabs(window).length < 2)
+            return null;
+
+        const newTab = Util.cycleTabs(window, backward);
+        this._windows.splice(this._windows.indexOf(window), 1, newTab);
+        return newTab;
+    }
+
+    get _keyMap() {
+        return this._tileEditor._keyMap;
+    }
+
     get _windows() {
         return this._tileEditor._windows;
     }
@@ -430,39 +932,57 @@ const SwapKeyHandler = class SwapKeyHandler extends DefaultKeyHandler {
         }, this._selectIndicator.rect);
         this._anchorIndicator.focus(this._selectIndicator.rect, this._selectIndicator.window);
         this._tileEditor.add_child(this._anchorIndicator);
+
+        // Undo the swap in one step.
+        Util.startHistoryEntry();
     }
 
     prepareLeave() {
         this._anchorIndicator.destroy();
+        Util.finishHistoryEntry();
     }
 
     handleKeyPress(keyEvent) {
-        const direction = Util.getDirection(keyEvent.keyval);
+        const direction = this._keyMap.getDirection(keyEvent.keyval);
 
-        // [Directions] to choose a window to swap with WASD, hjkl or arrow keys
+        // [Directions] to choose a window to swap with
         if (direction)
             this._focusInDir(direction);
 
-        // [Esc]ape Tile Editing Mode
-        else if (keyEvent.keyval === Clutter.KEY_Escape)
+        // [Esc]ape the swap mode
+        else if (this._keyMap.is(keyEvent.keyval, Actions.CLOSE))
             return Modes.DEFAULT;
 
         return Modes.SWAP;
     }
 
     handleKeyRelease(keyEvent) {
-        const keyVal = keyEvent.keyval;
-        const ctrlKeys = [Clutter.KEY_Control_L, Clutter.KEY_Control_R];
-
-        if (ctrlKeys.includes(keyVal)) {
-            this._swap();
+        if (this._keyMap.is(keyEvent.keyval, Actions.SWAP_MODE)) {
+            this.swap();
             return Modes.DEFAULT;
         }
 
         return Modes.SWAP;
     }
 
-    _swap() {
+    getLegend() {
+        const release = this._keyMap.getLabel(Actions.SWAP_MODE);
+
+        return {
+            title: _('Swap Mode'),
+            entries: [
+                [this._keyMap.getDirectionsLabel(), _('Select the spot to swap with')],
+                [release && _('Release %s').format(release), _('Swap the windows')],
+                [this._keyMap.getLabel(Actions.CLOSE), _('Cancel')],
+                [this._keyMap.getLabel(Actions.TOGGLE_LEGEND), _('Hide this legend')]
+            ]
+        };
+    }
+
+    /**
+     * Swaps the window at the anchor with the window at the selection.
+     */
+    swap() {
         if (this._anchorIndicator.window)
         { Util.tile(this._anchorIndicator.window, this._selectIndicator.rect, {
             openTilingPopup: false
@@ -485,15 +1005,20 @@ const ResizeKeyHandler = class ResizeKeyHandler extends DefaultKeyHandler {
         // The edge that is currently being resized.
         this._currEdge = null;
         this._resizeSideIndicator = null;
+
+        // Undo all resizes, which were done while holding the modifier, in one
+        // step.
+        Util.startHistoryEntry();
     }
 
     prepareLeave() {
         this._resizeSideIndicator?.destroy();
+        Util.finishHistoryEntry();
     }
 
     handleKeyPress(keyEvent) {
-        // [Directions] to resize with WASD, hjkl or arrow keys
-        const direction = Util.getDirection(keyEvent.keyval);
+        // [Directions] to resize
+        const direction = this._keyMap.getDirection(keyEvent.keyval);
         if (direction) {
             const window = this._selectIndicator.window;
             if (!window)
@@ -531,7 +1056,7 @@ const ResizeKeyHandler = class ResizeKeyHandler extends DefaultKeyHandler {
             this._resizeSideIndicator.updatePos(window.tiledRect);
 
         // [Esc]ape Tile Editing Mode
-        } else if (keyEvent.keyval === Clutter.KEY_Escape) {
+        } else if (this._keyMap.is(keyEvent.keyval, Actions.CLOSE)) {
             return Modes.CLOSE;
         }
 
@@ -539,17 +1064,76 @@ const ResizeKeyHandler = class ResizeKeyHandler extends DefaultKeyHandler {
     }
 
     handleKeyRelease(keyEvent) {
-        const keyVal = keyEvent.keyval;
-        const superKeys = [Clutter.KEY_Super_L, Clutter.KEY_Super_R];
-        return superKeys.includes(keyVal) ? Modes.DEFAULT : Modes.RESIZE;
+        return this._keyMap.is(keyEvent.keyval, Actions.RESIZE_MODE)
+            ? Modes.DEFAULT
+            : Modes.RESIZE;
+    }
+
+    getLegend() {
+        const release = this._keyMap.getLabel(Actions.RESIZE_MODE);
+
+        return {
+            title: _('Resize Mode'),
+            entries: [
+                [this._keyMap.getDirectionsLabel(), _('Choose an edge and resize it')],
+                [release && _('Release %s').format(release), _('Stop resizing')],
+                [this._keyMap.getLabel(Actions.CLOSE), _('Leave')],
+                [this._keyMap.getLabel(Actions.TOGGLE_LEGEND), _('Hide this legend')]
+            ]
+        };
     }
 
-    _resize(window, keyDir) {
+    /**
+     * Moves the edge of `window`'s tile to `pos`. Used to resize tiles by
+     * dragging their edges with the pointer.
+     *
+     * @param {Meta.Window} window
+     * @param {Direction} edge
+     * @param {number} pos the new x (for W or E) or y (for N or S) coordinate
+     *      of the edge.
+     */
+    resizeEdgeTo(window, edge, pos) {
+        if (this._currEdge !== edge) {
+            this._currEdge = edge;
+            this._createResizeIndicator();
+        }
+
+        // Don't let the tiles on either side of the edge get too small.
+        const rect = window.tiledRect;
+        const isVertical = [Direction.N, Direction.S].includes(edge);
+        const start = r => isVertical ? r.y : r.x;
+        const end = r => isVertical ? r.y2 : r.x2;
+        const edgePos = [Direction.N, Direction.W].includes(edge) ? start(rect) : end(rect);
+        let [min, max] = [-Infinity, Infinity];
+        this._windows.forEach(w => {
+            if (end(w.tiledRect) === edgePos)
+                min = Math.max(min, start(w.tiledRect) + MIN_TILE_SIZE);
+            else if (start(w.tiledRect) === edgePos)
+                max = Math.min(max, end(w.tiledRect) - MIN_TILE_SIZE);
+        });
+        pos = Math.min(Math.max(pos, min), max);
+
+        const growAmount = {
+            [Direction.N]: rect.y - pos,
+            [Direction.S]: pos - rect.y2,
+            [Direction.W]: rect.x - pos,
+            [Direction.E]: pos - rect.x2
+        }[edge];
+        if (!growAmount)
+            return;
+
+        const dir = growAmount > 0 ? edge : Direction.opposite(edge);
+        this._resize(window, dir, Math.abs(growAmount), true);
+        this._selectIndicator.focus(window.tiledRect, window);
+        this._resizeSideIndicator.updatePos(window.tiledRect);
+    }
+
+    _resize(window, keyDir, stepSize = 50, skipAnim = false) {
         // Rect, which is being resized by the user. But it still has
         // its original / pre-resize dimensions
         const resizedRect = window.tiledRect;
         const workArea = new Rect(window.get_work_area_current_monitor());
-        let resizeAmount = 50;
+        let resizeAmount = stepSize;
 
         // Limit resizeAmount to the workArea
         if (this._currEdge === Direction.N && keyDir === Direction.N)
@@ -564,6 +1148,23 @@ const ResizeKeyHandler = class ResizeKeyHandler extends DefaultKeyHandler {
         if (resizeAmount <= 0)
             return;
 
+        // Resize the tree, if there is one, and re-tile the windows based on
+        // it. The tree knows exactly, which windows share the resized edge.
+        const tileTree = Util.getTileTreeFor(window)?.clone();
+        if (tileTree?.getLeafFor(window)) {
+            const amount = keyDir === this._currEdge ? resizeAmount : -resizeAmount;
+            if (!tileTree.resizeEdge(window, this._currEdge, amount))
+                return;
+
+            this._windows.forEach(w => {
+                const rect = tileTree.getRectFor(w);
+                if (rect && !rect.equal(w.tiledRect))
+                    Util.tile(w, rect, { openTilingPopup: false, skipAnim, tileTree });
+            });
+
+            return;
+        }
+
         // Function to update the passed rect by the resizeAmount depending on
         // the edge that is resized. Some windows will resize on the same edge
         // as the one the user is resizing. Other windows will resize on the
@@ -592,11 +1193,11 @@ const ResizeKeyHandler = class ResizeKeyHandler extends DefaultKeyHandler {
             if (this._isSameSide(resizedRect, w.tiledRect)) {
                 const newRect = w.tiledRect.copy();
                 updateRectSize(newRect, this._currEdge);
-                Util.tile(w, newRect, { openTilingPopup: false });
+                Util.tile(w, newRect, { openTilingPopup: false, skipAnim });
             } else if (this._isOppositeSide(resizedRect, w.tiledRect)) {
                 const newRect = w.tiledRect.copy();
                 updateRectSize(newRect, Direction.opposite(this._currEdge));
-                Util.tile(w, newRect, { openTilingPopup: false });
+                Util.tile(w, newRect, { openTilingPopup: false, skipAnim });
             }
         });
     }
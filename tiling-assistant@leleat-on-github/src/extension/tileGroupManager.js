@@ -1,17 +1,28 @@
 'use strict';
 
 const Meta = imports.gi.Meta;
+const Signals = imports.signals;
 
 const ExtensionUtils = imports.misc.extensionUtils;
 const Me = ExtensionUtils.getCurrentExtension();
 
 const Settings = Me.imports.src.common.Settings;
+const Rect = Me.imports.src.extension.geometry.Rect;
+const TileTree = Me.imports.src.extension.tileTree.TileTree;
 
 /**
  * Helper class for Util:
  * This class tracks the different tileGroups for each tiled window.
  * Windows in a tileGroup will be raised together, if a tiled window
- * is raised (and if the setting isn't disabled).
+ * is raised (and if the setting isn't disabled). Optionally, they are also
+ * minimized and unminimized together. Each tileGroup is also
+ * backed by a TileTree (see tileTree.js), if its layout can be represented
+ * by one.
+ *
+ * Signals:
+ * 'tiled-window-unmanaged' (window, tileGroup): emitted when a tiled window
+ *      was closed. `tileGroup` contains the remaining windows of its group.
+ * 'tile-groups-changed': emitted when a tile group was updated or dissolved.
  */
 
 var Manager = class TileGroupManager {
@@ -19,9 +30,16 @@ var Manager = class TileGroupManager {
         // { windowId1: int, windowId2: int, ... }
         this._groupRaiseIds = new Map();
         // { windowId1: int, windowId2: int, ... }
+        this._groupMinimizeIds = new Map();
+        // { windowId1: int, windowId2: int, ... }
         this._unmanagedIds = new Map();
         // { windowId1: [windowIdX, windowIdY, ...], windowId2: [,,,]... }
         this._tileGroups = new Map();
+        // { windowId1: TileTree, windowId2: TileTree, ... }
+        this._tileTrees = new Map();
+        // TileTrees, which lost windows since the last update. They may be
+        // reused, if the windows are re-tiled to the same spots.
+        this._detachedTileTrees = new Set();
     }
 
     destroy() {
@@ -30,12 +48,19 @@ var Manager = class TileGroupManager {
         });
         this._groupRaiseIds.clear();
 
+        this._groupMinimizeIds.forEach((signalId, windowId) => {
+            this._getWindow(windowId).disconnect(signalId);
+        });
+        this._groupMinimizeIds.clear();
+
         this._unmanagedIds.forEach((signalId, windowId) => {
             this._getWindow(windowId).disconnect(signalId);
         });
         this._unmanagedIds.clear();
 
         this._tileGroups.clear();
+        this._tileTrees.clear();
+        this._detachedTileTrees.clear();
     }
 
     /**
@@ -44,8 +69,13 @@ var Manager = class TileGroupManager {
      *
      * @param {Meta.Windows[]} tileGroup an array of Meta.Windows to group
      *      together.
+     * @param {TileTree} [tileTree=null] the tree, which should back the
+     *      tileGroup, if it matches the windows' tiledRects. Otherwise, an
+     *      existing tree is reused or a new one is created.
      */
-    updateTileGroup(tileGroup) {
+    updateTileGroup(tileGroup, tileTree = null) {
+        this._updateTileTree(tileGroup, tileTree);
+
         tileGroup.forEach(window => {
             const windowId = window.get_id();
             this._tileGroups.set(windowId, tileGroup.map(w => w.get_id()));
@@ -84,12 +114,48 @@ var Manager = class TileGroupManager {
                 }
             }));
 
+            if (this._groupMinimizeIds.has(windowId))
+                window.disconnect(this._groupMinimizeIds.get(windowId));
+
+            this._groupMinimizeIds.set(windowId, window.connect('notify::minimized', () => {
+                if (!Settings.getBoolean(Settings.MINIMIZE_TILE_GROUPS))
+                    return;
+
+                const Util = Me.imports.src.extension.utility.Util;
+                const minimize = window.minimized;
+                this._tileGroups.get(windowId)?.forEach(wId => {
+                    const w = this._getWindow(wId);
+                    if (!w || !this._groupMinimizeIds.has(wId))
+                        return;
+
+                    // The inactive tabs aren't part of the tile group. So
+                    // (un)minimize them with their active tab.
+                    Util.getTabs(w).forEach(tab => {
+                        if (tab === window || tab.minimized === minimize)
+                            return;
+
+                        // Prevent the other windows from (un)minimizing the
+                        // group again.
+                        const signalId = this._groupMinimizeIds.get(tab.get_id());
+                        signalId && tab.block_signal_handler(signalId);
+                        minimize ? tab.minimize() : tab.unminimize();
+                        signalId && tab.unblock_signal_handler(signalId);
+                    });
+                });
+            }));
+
             if (this._unmanagedIds.has(windowId))
                 window.disconnect(this._unmanagedIds.get(windowId));
 
-            this._unmanagedIds.set(windowId, window.connect('unmanaged', () =>
-                this.dissolveTileGroup(windowId)));
+            this._unmanagedIds.set(windowId, window.connect('unmanaged', () => {
+                const remainingTileGroup = this.getTileGroupFor(window)
+                    .filter(w => w !== window);
+                this.dissolveTileGroup(windowId);
+                this.emit('tiled-window-unmanaged', window, remainingTileGroup);
+            }));
         });
+
+        this.emit('tile-groups-changed');
     }
 
     /**
@@ -105,11 +171,24 @@ var Manager = class TileGroupManager {
             this._groupRaiseIds.delete(windowId);
         }
 
+        if (this._groupMinimizeIds.has(windowId)) {
+            window && window.disconnect(this._groupMinimizeIds.get(windowId));
+            this._groupMinimizeIds.delete(windowId);
+        }
+
         if (this._unmanagedIds.has(windowId)) {
             window && window.disconnect(this._unmanagedIds.get(windowId));
             this._unmanagedIds.delete(windowId);
         }
 
+        const tileTree = this._tileTrees.get(windowId);
+        if (tileTree) {
+            const treeWindow = tileTree.getWindows().find(w => w.get_id() === windowId);
+            treeWindow && tileTree.removeWindow(treeWindow);
+            this._tileTrees.delete(windowId);
+            this._detachedTileTrees.add(tileTree);
+        }
+
         if (!this._tileGroups.has(windowId))
             return;
 
@@ -120,6 +199,8 @@ var Manager = class TileGroupManager {
             const idx = tileGroup.indexOf(windowId);
             idx !== -1 && tileGroup.splice(idx, 1);
         });
+
+        this.emit('tile-groups-changed');
     }
 
     /**
@@ -148,6 +229,68 @@ var Manager = class TileGroupManager {
         return this._getAllWindows().filter(w => tileGroup.includes(w.get_id()));
     }
 
+    /**
+     * @param {Meta.Window} window a Meta.Window.
+     * @returns {TileTree|null} the tree backing `window`'s tile group.
+     */
+    getTileTreeFor(window) {
+        return this._tileTrees.get(window.get_id()) ?? null;
+    }
+
+    _updateTileTree(tileGroup, tileTree) {
+        if (!tileGroup.length)
+            return;
+
+        let newTileTree = null;
+        if (tileGroup.every(w => w.tiledRect)) {
+            const workArea = this._getWorkAreaFor(tileGroup[0]);
+            const fits = (tree, allowForeignWindows) =>
+                tree.workArea.equal(workArea) &&
+                tree.canAdopt(tileGroup, allowForeignWindows);
+
+            // Prefer the explicitly passed tree and then trees, which
+            // already hold the windows, before creating a new tree. Don't
+            // take over trees, which still hold windows of other groups.
+            const candidates = new Set([
+                ...tileGroup.map(w => this._tileTrees.get(w.get_id())),
+                ...this._detachedTileTrees
+            ]);
+            newTileTree = tileTree && fits(tileTree, true)
+                ? tileTree
+                : [...candidates].find(t => t && fits(t, false));
+
+            if (newTileTree) {
+                newTileTree.getWindows()
+                    .filter(w => !tileGroup.includes(w))
+                    .forEach(w => this._tileTrees.get(w.get_id()) === newTileTree &&
+                        this._tileTrees.delete(w.get_id()));
+                newTileTree.adopt(tileGroup);
+            } else {
+                newTileTree = TileTree.build(tileGroup, workArea);
+            }
+        }
+
+        tileGroup.forEach(w => {
+            const oldTileTree = this._tileTrees.get(w.get_id());
+            if (oldTileTree && oldTileTree !== newTileTree)
+                oldTileTree.removeWindow(w);
+
+            if (newTileTree)
+                this._tileTrees.set(w.get_id(), newTileTree);
+            else
+                this._tileTrees.delete(w.get_id());
+        });
+
+        this._detachedTileTrees.clear();
+    }
+
+    _getWorkAreaFor(window) {
+        const monitor = global.display.get_monitor_index_for_rect(window.tiledRect.meta);
+        const workspace = window.get_workspace() ??
+                global.workspace_manager.get_active_workspace();
+        return new Rect(workspace.get_work_area_for_monitor(monitor));
+    }
+
     _getAllWindows() {
         return global.display.get_tab_list(Meta.TabList.NORMAL_ALL, null);
     }
@@ -156,3 +299,4 @@ var Manager = class TileGroupManager {
         return this._getAllWindows().find(w => w.get_id() === windowId);
     }
 };
+Signals.addSignalMethods(Manager.prototype);
@@ -0,0 +1,788 @@
+'use strict';
+
+const ExtensionUtils = imports.misc.extensionUtils;
+const Me = ExtensionUtils.getCurrentExtension();
+
+const { Direction, Orientation } = Me.imports.src.common;
+
+// Tiles won't be shrunk below this size (in px) when moving a shared edge.
+const MIN_TILE_SIZE = 50;
+
+/**
+ * A node of a TileTree. A node is either a container or a leaf. Containers
+ * split their rect into their children along their orientation; the same way
+ * as Rect.getUnitAt() does it: Orientation.V means the children are placed
+ * side by side and Orientation.H means the children are stacked on top of
+ * each other. Each child has a `ratio`, which is its share of the parent's
+ * size. Leaves hold a Meta.Window or nothing, if they represent free screen
+ * space.
+ */
+var TileNode = class TileNode {
+    /**
+     * @param {Meta.Window|null} [window=null]
+     */
+    constructor(window = null) {
+        this.parent = null;
+        this.children = [];
+        this.orientation = null;
+        this.ratio = 1;
+        this.rect = null;
+        this.window = window;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get isLeaf() {
+        return !this.children.length;
+    }
+
+    /**
+     * @param {TileNode} node
+     * @param {number} [index] the position to insert the `node` at. By
+     *      default, it's appended.
+     */
+    insertChild(node, index = this.children.length) {
+        node.parent = this;
+        this.children.splice(index, 0, node);
+    }
+
+    /**
+     * @returns {TileNode[]} the leaves of this (sub-)tree in order.
+     */
+    getLeaves() {
+        return this.isLeaf ? [this] : this.children.flatMap(c => c.getLeaves());
+    }
+
+    /**
+     * @returns {TileNode} a deep copy. The windows aren't copied.
+     */
+    copy() {
+        const node = new TileNode(this.window);
+        node.orientation = this.orientation;
+        node.ratio = this.ratio;
+        node.rect = this.rect?.copy() ?? null;
+        this.children.forEach(c => node.insertChild(c.copy()));
+        return node;
+    }
+};
+
+/**
+ * The split tree of a tile group. It describes how the work area is divided
+ * between the tiled windows (and the free screen space). The tiledRects of
+ * the windows are derived from the tree, so that neighbouring tiles always
+ * share their edges exactly and operations like resizing a shared edge or
+ * moving the group to a different work area don't need to guess adjacency.
+ *
+ * The trees are tracked by the TileGroupManager.
+ */
+var TileTree = class TileTree {
+    /**
+     * @param {TileNode} root
+     * @param {Rect} workArea
+     */
+    constructor(root, workArea) {
+        this._root = root;
+        this.layout(workArea);
+    }
+
+    /**
+     * Creates a tree from the tiledRects of the `windows`. This only works
+     * for layouts, which can be created by repeatedly cutting the work area
+     * into strips (like all layouts created by halving or with the Tiling
+     * Popup).
+     *
+     * @param {Meta.Window[]} windows the tiled Meta.Windows.
+     * @param {Rect} workArea
+     * @returns {TileTree|null} the tree or null, if the tiledRects overlap,
+     *      exceed the `workArea` or can't be represented by a tree.
+     */
+    static build(windows, workArea) {
+        const items = windows.map(window => ({ window, rect: window.tiledRect }));
+        const root = this._buildNode(workArea, items);
+        return root ? new TileTree(root, workArea) : null;
+    }
+
+    static _buildNode(rect, items) {
+        if (!items.length)
+            return new TileNode();
+
+        if (items.length === 1 && items[0].rect.equal(rect))
+            return new TileNode(items[0].window);
+
+        for (const orientation of [Orientation.V, Orientation.H]) {
+            const [pos, size] = orientation === Orientation.V
+                ? ['x', 'width']
+                : ['y', 'height'];
+            const rectEnd = rect[pos] + rect[size];
+
+            // Possible cuts are at the items' edges, if no item crosses them.
+            const cuts = [...new Set(items.flatMap(i => [i.rect[pos], i.rect[pos] + i.rect[size]]))]
+                .filter(c => c > rect[pos] && c < rectEnd)
+                .filter(c => items.every(i => i.rect[pos] + i.rect[size] <= c || i.rect[pos] >= c))
+                .sort((a, b) => a - b);
+            if (!cuts.length)
+                continue;
+
+            const container = new TileNode();
+            container.orientation = orientation;
+
+            const bounds = [rect[pos], ...cuts, rectEnd];
+            let distributedCount = 0;
+            for (let i = 0; i < bounds.length - 1; i++) {
+                const childRect = rect.copy();
+                childRect[pos] = bounds[i];
+                childRect[size] = bounds[i + 1] - bounds[i];
+
+                const childItems = items.filter(item => {
+                    return item.rect[pos] >= bounds[i] &&
+                            item.rect[pos] + item.rect[size] <= bounds[i + 1];
+                });
+                const child = this._buildNode(childRect, childItems);
+                if (!child)
+                    return null;
+
+                distributedCount += childItems.length;
+
+                child.ratio = childRect[size] / rect[size];
+                container.insertChild(child);
+            }
+
+            // Some items exceed the rect.
+            if (distributedCount !== items.length)
+                return null;
+
+            this._mergeEmptyLeaves(container);
+            return container;
+        }
+
+        // The items overlap or don't fill the rect exactly.
+        return null;
+    }
+
+    static _mergeEmptyLeaves(container) {
+        for (let i = container.children.length - 1; i > 0; i--) {
+            const child = container.children[i];
+            const prev = container.children[i - 1];
+            if (child.isLeaf && !child.window && prev.isLeaf && !prev.window) {
+                prev.ratio += child.ratio;
+                container.children.splice(i, 1);
+            }
+        }
+    }
+
+    /**
+     * @returns {Rect} the work area the tree is laid out on.
+     */
+    get workArea() {
+        return this._workArea;
+    }
+
+    /**
+     * @returns {TileTree} a deep copy of the tree.
+     */
+    clone() {
+        return new TileTree(this._root.copy(), this._workArea);
+    }
+
+    /**
+     * Calculates the rects of all nodes based on their ratios.
+     *
+     * @param {Rect} [workArea] the work area to lay the tree out on. By
+     *      default, the current one is used.
+     */
+    layout(workArea = this._workArea) {
+        this._workArea = workArea.copy();
+        this._layoutNode(this._root, this._workArea.copy());
+    }
+
+    _layoutNode(node, rect) {
+        node.rect = rect;
+        if (node.isLeaf)
+            return;
+
+        const [pos, size] = this._getAxis(node.orientation);
+        const lastIdx = node.children.length - 1;
+        let start = rect[pos];
+        let cumulatedRatio = 0;
+
+        node.children.forEach((child, idx) => {
+            cumulatedRatio += child.ratio;
+            // The last child always ends at the parent's edge so that
+            // rounding errors don't leave gaps.
+            const end = idx === lastIdx
+                ? rect[pos] + rect[size]
+                : rect[pos] + Math.round(cumulatedRatio * rect[size]);
+            const childRect = rect.copy();
+            childRect[pos] = start;
+            childRect[size] = end - start;
+            this._layoutNode(child, childRect);
+            start = end;
+        });
+    }
+
+    /**
+     * @returns {TileNode[]} all leaves including the ones without a window.
+     */
+    getLeaves() {
+        return this._root.getLeaves();
+    }
+
+    /**
+     * @param {Meta.Window} window
+     * @returns {TileNode|null}
+     */
+    getLeafFor(window) {
+        return this.getLeaves().find(l => l.window === window) ?? null;
+    }
+
+    /**
+     * @param {Rect} rect
+     * @returns {TileNode|null} the leaf, whose rect equals `rect`.
+     */
+    getLeafAt(rect) {
+        return this.getLeaves().find(l => l.rect.equal(rect)) ?? null;
+    }
+
+    /**
+     * @returns {Meta.Window[]}
+     */
+    getWindows() {
+        return this.getLeaves().filter(l => l.window).map(l => l.window);
+    }
+
+    /**
+     * @param {Meta.Window[]} windows
+     * @returns {boolean} wether the tree holds exactly the `windows`.
+     */
+    hasExactly(windows) {
+        const treeWindows = this.getWindows();
+        return treeWindows.length === windows.length &&
+                windows.every(w => treeWindows.includes(w));
+    }
+
+    /**
+     * @param {Meta.Window} window
+     * @param {Rect} [workArea] get the rect as if the tree was laid out on
+     *      this work area instead.
+     * @returns {Rect|null} a copy of the rect of `window`'s leaf.
+     */
+    getRectFor(window, workArea = null) {
+        if (workArea && !workArea.equal(this._workArea)) {
+            const tree = this.clone();
+            tree.layout(workArea);
+            return tree.getRectFor(window);
+        }
+
+        return this.getLeafFor(window)?.rect.copy() ?? null;
+    }
+
+    /**
+     * Checks, if the `windows` can take over this tree. That's the case, if
+     * each window's tiledRect equals the rect of a different leaf.
+     *
+     * @param {Meta.Window[]} windows
+     * @param {boolean} [allowForeignWindows=true] wether leaves may hold
+     *      windows, which aren't part of `windows`.
+     * @returns {boolean}
+     */
+    canAdopt(windows, allowForeignWindows = true) {
+        if (!allowForeignWindows && this.getWindows().some(w => !windows.includes(w)))
+            return false;
+
+        const leaves = this.getLeaves();
+        const usedLeaves = new Set();
+        return windows.every(w => {
+            const leaf = leaves.find(l => !usedLeaves.has(l) && l.rect.equal(w.tiledRect));
+            leaf && usedLeaves.add(leaf);
+            return !!leaf;
+        });
+    }
+
+    /**
+     * Assigns the `windows` to the leaves matching their tiledRect. Leaves,
+     * which don't match any window, become free screen space. Check with
+     * canAdopt() first.
+     *
+     * @param {Meta.Window[]} windows
+     */
+    adopt(windows) {
+        const leaves = this.getLeaves();
+        leaves.forEach(l => (l.window = null));
+        windows.forEach(w => {
+            const leaf = leaves.find(l => !l.window && l.rect.equal(w.tiledRect));
+            leaf.window = w;
+        });
+    }
+
+    /**
+     * Turns `window`'s leaf into free screen space. The other tiles keep
+     * their size.
+     *
+     * @param {Meta.Window} window
+     */
+    removeWindow(window) {
+        const leaf = this.getLeafFor(window);
+        if (leaf)
+            leaf.window = null;
+    }
+
+    /**
+     * Removes a leaf from the tree. Its siblings grow into the freed space.
+     *
+     * @param {TileNode} leaf
+     */
+    removeLeaf(leaf) {
+        const parent = leaf.parent;
+        if (!parent)
+            return;
+
+        parent.children.splice(parent.children.indexOf(leaf), 1);
+        const ratioSum = parent.children.reduce((sum, c) => sum + c.ratio, 0);
+        parent.children.forEach(c => (c.ratio /= ratioSum));
+
+        if (parent.children.length === 1)
+            this._replaceNode(parent, parent.children[0]);
+
+        this.layout();
+    }
+
+    _replaceNode(oldNode, newNode) {
+        const parent = oldNode.parent;
+        newNode.ratio = oldNode.ratio;
+
+        if (!parent) {
+            newNode.parent = null;
+            this._root = newNode;
+            return;
+        }
+
+        const idx = parent.children.indexOf(oldNode);
+        parent.children.splice(idx, 1);
+
+        // Flatten containers with the same orientation as their parent.
+        if (!newNode.isLeaf && newNode.orientation === parent.orientation) {
+            newNode.children.forEach((c, i) => {
+                c.ratio *= newNode.ratio;
+                parent.insertChild(c, idx + i);
+            });
+        } else {
+            parent.insertChild(newNode, idx);
+        }
+    }
+
+    /**
+     * Splits a leaf in half.
+     *
+     * @param {TileNode} leaf the leaf to split.
+     * @param {Orientation} orientation Orientation.V splits the leaf into a
+     *      left and right half and Orientation.H into a top and bottom half.
+     * @param {Meta.Window|null} window the window for the new leaf.
+     * @param {boolean} [before=false] wether the new leaf is the first half.
+     * @returns {TileNode} the new leaf.
+     */
+    splitLeaf(leaf, orientation, window, before = false) {
+        const newLeaf = new TileNode(window);
+        const parent = leaf.parent;
+
+        if (parent?.orientation === orientation) {
+            const idx = parent.children.indexOf(leaf);
+            leaf.ratio /= 2;
+            newLeaf.ratio = leaf.ratio;
+            parent.insertChild(newLeaf, before ? idx : idx + 1);
+        } else {
+            const container = new TileNode();
+            container.orientation = orientation;
+            this._replaceNode(leaf, container);
+            leaf.ratio = newLeaf.ratio = .5;
+            container.insertChild(leaf);
+            container.insertChild(newLeaf, before ? 0 : 1);
+        }
+
+        this.layout();
+        return newLeaf;
+    }
+
+    /**
+     * Splits a leaf into equally sized parts. The leaf becomes the first part
+     * and the other parts are free screen space.
+     *
+     * @param {TileNode} leaf the leaf to split.
+     * @param {Orientation} orientation see splitLeaf().
+     * @param {number} count the number of parts.
+     * @returns {TileNode[]} the new (empty) leaves.
+     */
+    splitLeafEvenly(leaf, orientation, count) {
+        const newLeaves = Array.from({ length: count - 1 }, () => new TileNode());
+        const parent = leaf.parent;
+
+        if (parent?.orientation === orientation) {
+            const idx = parent.children.indexOf(leaf);
+            leaf.ratio /= count;
+            newLeaves.forEach((newLeaf, i) => {
+                newLeaf.ratio = leaf.ratio;
+                parent.insertChild(newLeaf, idx + 1 + i);
+            });
+        } else {
+            const container = new TileNode();
+            container.orientation = orientation;
+            this._replaceNode(leaf, container);
+            [leaf, ...newLeaves].forEach(l => {
+                l.ratio = 1 / count;
+                container.insertChild(l);
+            });
+        }
+
+        this.layout();
+        return newLeaves;
+    }
+
+    /**
+     * Rotates the layout by 90° clockwise.
+     */
+    rotate() {
+        this._getContainers().forEach(container => {
+            // Left to right becomes top to bottom, while top to bottom
+            // becomes right to left.
+            if (container.orientation === Orientation.H)
+                container.children.reverse();
+
+            container.orientation = container.orientation === Orientation.V
+                ? Orientation.H
+                : Orientation.V;
+        });
+
+        this.layout();
+    }
+
+    /**
+     * Mirrors the layout.
+     *
+     * @param {Orientation} orientation Orientation.V swaps the left and
+     *      right side and Orientation.H swaps the top and bottom.
+     */
+    mirror(orientation) {
+        this._getContainers()
+            .filter(c => c.orientation === orientation)
+            .forEach(c => c.children.reverse());
+
+        this.layout();
+    }
+
+    /**
+     * Gives the children of each container the same size.
+     */
+    balance() {
+        this._getContainers().forEach(container => {
+            container.children.forEach(c => (c.ratio = 1 / container.children.length));
+        });
+
+        this.layout();
+    }
+
+    _getContainers() {
+        const containers = [];
+        const collect = node => {
+            if (node.isLeaf)
+                return;
+
+            containers.push(node);
+            node.children.forEach(collect);
+        };
+
+        collect(this._root);
+        return containers;
+    }
+
+    /**
+     * Inserts a new leaf at the `dir` edge of `node`. The new leaf spans the
+     * whole edge, which `node` shares with its neighbours, and takes the
+     * space from the tiles on both sides of the edge (or just from the tiles
+     * on one side, if the edge is a work area edge).
+     *
+     * @param {TileNode} node
+     * @param {Direction} dir
+     * @param {Meta.Window|null} window the window for the new leaf.
+     * @param {number} factor the size of the new leaf relative to the
+     *      smallest tile along the edge.
+     * @returns {TileNode|null} the new leaf or null, if there isn't enough
+     *      space.
+     */
+    insertAtEdge(node, dir, window, factor) {
+        const orientation = this._getOrientation(dir);
+        const [pos, size] = this._getAxis(orientation);
+        const newLeaf = new TileNode(window);
+        const boundary = this._getBoundary(node, dir);
+
+        if (boundary) {
+            const { container, idx } = boundary;
+            const first = container.children[idx];
+            const second = container.children[idx + 1];
+            const edge = second.rect[pos];
+            const edgeLeaves = [
+                ...this._getLeavesAt(first, orientation, edge),
+                ...this._getLeavesAt(second, orientation, edge)
+            ];
+            const smallest = Math.min(...edgeLeaves.map(l => l.rect[size]));
+            const maxHalf = Math.min(
+                this._getShrinkableSize(first, orientation, true),
+                this._getShrinkableSize(second, orientation, false)
+            );
+            const half = Math.min(Math.floor(smallest * factor / 2), maxHalf);
+            if (half <= 0)
+                return null;
+
+            this._resizeNode(first, orientation, true, -half);
+            this._resizeNode(second, orientation, false, half);
+            newLeaf.rect = first.rect.copy();
+            newLeaf.rect[pos] = edge - half;
+            newLeaf.rect[size] = 2 * half;
+            container.insertChild(newLeaf, idx + 1);
+            this._updateRatios(container);
+        } else {
+            // The edge is a work area edge. So the tiles along it make
+            // space for the new leaf. If the root's orientation doesn't
+            // match, the root is wrapped in a new container.
+            const atStart = dir === Direction.N || dir === Direction.W;
+            const root = this._root;
+            const rootMatches = root.orientation === orientation;
+            const neighbor = !rootMatches
+                ? root
+                : root.children[atStart ? 0 : root.children.length - 1];
+            const edge = atStart ? root.rect[pos] : root.rect[pos] + root.rect[size];
+            const smallest = Math.min(...this._getLeavesAt(neighbor, orientation, edge)
+                .map(l => l.rect[size]));
+            const newSize = Math.min(Math.floor(smallest * factor),
+                this._getShrinkableSize(neighbor, orientation, !atStart));
+            if (newSize <= 0)
+                return null;
+
+            let container = root;
+            if (!rootMatches) {
+                container = new TileNode();
+                container.orientation = orientation;
+                container.rect = root.rect.copy();
+                container.insertChild(root);
+                this._root = container;
+            }
+
+            this._resizeNode(neighbor, orientation, !atStart, atStart ? newSize : -newSize);
+            newLeaf.rect = container.rect.copy();
+            newLeaf.rect[pos] = atStart ? edge : edge - newSize;
+            newLeaf.rect[size] = newSize;
+            container.insertChild(newLeaf, atStart ? 0 : container.children.length);
+            this._updateRatios(container);
+        }
+
+        this.layout();
+        return newLeaf;
+    }
+
+    /**
+     * Gets the windows, which share the `dir` edge of `window`'s tile and
+     * thus need to be resized along with it, if that edge is moved.
+     *
+     * @param {Meta.Window} window
+     * @param {Direction} dir a single direction.
+     * @returns {{same: Meta.Window[], opposing: Meta.Window[]}} `same` contains
+     *      the windows, whose `dir` edge is on the edge (including `window`)
+     *      and `opposing` contains the windows, whose opposite edge is on it.
+     */
+    getEdgeNeighbors(window, dir) {
+        const leaf = this.getLeafFor(window);
+        const boundary = leaf && this._getBoundary(leaf, dir);
+        if (!boundary)
+            return { same: [], opposing: [] };
+
+        const { container, idx } = boundary;
+        const [pos] = this._getAxis(container.orientation);
+        const first = container.children[idx];
+        const second = container.children[idx + 1];
+        const edge = second.rect[pos];
+        const firstWindows = this._getLeavesAt(first, container.orientation, edge)
+            .filter(l => l.window).map(l => l.window);
+        const secondWindows = this._getLeavesAt(second, container.orientation, edge)
+            .filter(l => l.window).map(l => l.window);
+
+        return firstWindows.includes(window)
+            ? { same: firstWindows, opposing: secondWindows }
+            : { same: secondWindows, opposing: firstWindows };
+    }
+
+    /**
+     * Moves the `dir` edge of `window`'s tile to `position`. All tiles
+     * sharing that edge are resized as well. The tiles won't shrink below
+     * a minimum size.
+     *
+     * @param {Meta.Window} window
+     * @param {Direction} dir a single direction.
+     * @param {number} position the new x or y coordinate of the edge.
+     * @returns {boolean} wether the edge was moved.
+     */
+    moveEdge(window, dir, position) {
+        const leaf = this.getLeafFor(window);
+        const boundary = leaf && this._getBoundary(leaf, dir);
+        if (!boundary)
+            return false;
+
+        const { container, idx } = boundary;
+        const orientation = container.orientation;
+        const [pos] = this._getAxis(orientation);
+        const first = container.children[idx];
+        const second = container.children[idx + 1];
+        const edge = second.rect[pos];
+        const min = edge - this._getShrinkableSize(first, orientation, true);
+        const max = edge + this._getShrinkableSize(second, orientation, false);
+        const delta = Math.min(max, Math.max(min, Math.round(position))) - edge;
+        if (!delta)
+            return false;
+
+        this._resizeNode(first, orientation, true, delta);
+        this._resizeNode(second, orientation, false, delta);
+        this._updateRatios(container);
+        this.layout();
+        return true;
+    }
+
+    /**
+     * Grows (or shrinks) `window`'s tile on its `dir` edge. See moveEdge().
+     *
+     * @param {Meta.Window} window
+     * @param {Direction} dir a single direction.
+     * @param {number} amount the amount in px. Negative values shrink.
+     * @returns {boolean} wether the edge was moved.
+     */
+    resizeEdge(window, dir, amount) {
+        const rect = this.getLeafFor(window)?.rect;
+        if (!rect)
+            return false;
+
+        switch (dir) {
+            case Direction.N:
+                return this.moveEdge(window, dir, rect.y - amount);
+            case Direction.S:
+                return this.moveEdge(window, dir, rect.y2 + amount);
+            case Direction.W:
+                return this.moveEdge(window, dir, rect.x - amount);
+            case Direction.E:
+                return this.moveEdge(window, dir, rect.x2 + amount);
+        }
+
+        return false;
+    }
+
+    _getOrientation(dir) {
+        return dir === Direction.N || dir === Direction.S
+            ? Orientation.H
+            : Orientation.V;
+    }
+
+    _getAxis(orientation) {
+        return orientation === Orientation.V
+            ? ['x', 'width']
+            : ['y', 'height'];
+    }
+
+    /**
+     * Finds the edge in the direction of `dir`, which `node` shares with
+     * other tiles. It's the boundary between 2 children of the closest
+     * ancestor with a matching orientation.
+     *
+     * @param {TileNode} node
+     * @param {Direction} dir
+     * @returns {{container: TileNode, idx: number}|null} the boundary is
+     *      between the children at `idx` and `idx + 1`. Null, if the edge
+     *      is a work area edge.
+     */
+    _getBoundary(node, dir) {
+        const orientation = this._getOrientation(dir);
+        const towardsEnd = dir === Direction.S || dir === Direction.E;
+
+        while (node.parent) {
+            const parent = node.parent;
+            const idx = parent.children.indexOf(node);
+            if (parent.orientation === orientation) {
+                if (towardsEnd && idx < parent.children.length - 1)
+                    return { container: parent, idx };
+                else if (!towardsEnd && idx > 0)
+                    return { container: parent, idx: idx - 1 };
+            }
+
+            node = parent;
+        }
+
+        return null;
+    }
+
+    _getLeavesAt(node, orientation, edge) {
+        const [pos, size] = this._getAxis(orientation);
+        return node.getLeaves().filter(l => {
+            return l.rect[pos] === edge || l.rect[pos] + l.rect[size] === edge;
+        });
+    }
+
+    /**
+     * @param {TileNode} node
+     * @param {Orientation} orientation
+     * @param {boolean} atEnd wether the node shrinks at its end or start.
+     * @returns {number} how much the node can shrink without any of its
+     *      leaves becoming smaller than MIN_TILE_SIZE.
+     */
+    _getShrinkableSize(node, orientation, atEnd) {
+        if (node.isLeaf) {
+            const [, size] = this._getAxis(orientation);
+            return Math.max(0, node.rect[size] - MIN_TILE_SIZE);
+        }
+
+        if (node.orientation === orientation) {
+            const edgeChild = atEnd ? node.children[node.children.length - 1] : node.children[0];
+            return this._getShrinkableSize(edgeChild, orientation, atEnd);
+        }
+
+        return Math.min(...node.children.map(c => {
+            return this._getShrinkableSize(c, orientation, atEnd);
+        }));
+    }
+
+    /**
+     * Moves the start or end edge of `node` by `delta`. Only the tiles along
+     * that edge are resized.
+     *
+     * @param {TileNode} node
+     * @param {Orientation} orientation
+     * @param {boolean} atEnd wether to move the end or the start edge.
+     * @param {number} delta
+     */
+    _resizeNode(node, orientation, atEnd, delta) {
+        const [pos, size] = this._getAxis(orientation);
+        const rect = node.rect.copy();
+        if (atEnd) {
+            rect[size] += delta;
+        } else {
+            rect[pos] += delta;
+            rect[size] -= delta;
+        }
+
+        node.rect = rect;
+
+        if (node.isLeaf)
+            return;
+
+        if (node.orientation === orientation) {
+            const edgeChild = atEnd ? node.children[node.children.length - 1] : node.children[0];
+            this._resizeNode(edgeChild, orientation, atEnd, delta);
+        } else {
+            node.children.forEach(c => this._resizeNode(c, orientation, atEnd, delta));
+        }
+
+        this._updateRatios(node);
+    }
+
+    _updateRatios(container) {
+        const [, size] = this._getAxis(container.orientation);
+        container.children.forEach(c => {
+            c.ratio = c.rect[size] / container.rect[size];
+        });
+    }
+};
+
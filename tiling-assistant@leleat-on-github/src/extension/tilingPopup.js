@@ -6,7 +6,7 @@ const { altTab: AltTab, main: Main, switcherPopup: SwitcherPopup } = imports.ui;
 const ExtensionUtils = imports.misc.extensionUtils;
 const Me = ExtensionUtils.getCurrentExtension();
 
-const { Direction, Orientation } = Me.imports.src.common;
+const { Direction, Orientation, WindowRuleActions } = Me.imports.src.common;
 const Util = Me.imports.src.extension.utility.Util;
 
 /**
@@ -46,6 +46,12 @@ var TilingSwitcherPopup = GObject.registerClass({
         this.tiledWindow = null;
         this._allowConsecutivePopup = allowConsecutivePopup;
 
+        // Don't offer windows, which the user excluded with a window rule
+        // or which can't be tiled anyway.
+        openWindows = openWindows.filter(w =>
+            !Util.hasWindowRule(w, WindowRuleActions.NO_POPUP) &&
+            !Util.hasWindowRule(w, WindowRuleActions.FLOAT));
+
         const apps = Shell.AppSystem.get_default().get_running();
         this._switcherList = new TSwitcherList(openWindows, apps, this);
         this._items = this._switcherList.icons;
@@ -327,7 +333,9 @@ var TilingSwitcherPopup = GObject.registerClass({
         this.tiledWindow = window;
 
         window.change_workspace(global.workspace_manager.get_active_workspace());
-        window.move_to_monitor(global.display.get_current_monitor());
+        // The rect may be on a different monitor, e. g. when tiling with a
+        // layout, which targets multiple monitors.
+        window.move_to_monitor(global.display.get_monitor_index_for_rect(rect.meta));
         Util.tile(window, rect, { openTilingPopup: this._allowConsecutivePopup });
         window.activate(global.get_current_time());
     }
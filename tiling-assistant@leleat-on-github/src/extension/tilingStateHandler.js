@@ -0,0 +1,471 @@
+'use strict';
+
+const { Gio, GLib, Meta, Shell } = imports.gi;
+const ByteArray = imports.byteArray;
+
+const ExtensionUtils = imports.misc.extensionUtils;
+const Me = ExtensionUtils.getCurrentExtension();
+
+const Rect = Me.imports.src.extension.geometry.Rect;
+const Util = Me.imports.src.extension.utility.Util;
+
+const VERSION = 2;
+// Delay (in ms) to bundle multiple changes into 1 write.
+const SAVE_DELAY = 1000;
+// Time (in s) after enabling the extension, in which newly opened windows may
+// still be matched with the saved windows (e. g. apps started on login).
+const RESTORE_TIMEOUT = 60;
+// Time (in s), for which closed tiled windows are still saved. On logout, the
+// apps close their windows before GNOME Shell exits. This way they are still
+// part of the saved state.
+const CLOSED_WINDOW_TIMEOUT = 30;
+// Identifies the running GNOME Shell instance. The module stays loaded while
+// the extension is disabled (e. g. on a screen lock), but it's loaded anew,
+// if GNOME Shell is restarted. Unlike the process id, this also applies to
+// a restart on X11 (Alt+F2 r), which re-executes GNOME Shell in place.
+const SHELL_INSTANCE = GLib.uuid_string_random();
+
+/**
+ * This class persists the tiling state (the tiledRects, untiledRects and tile
+ * groups) in ~/.config/tiling-assistant/tiledSessionRestore.json so that the
+ * tiled arrangements survive a screen lock (which disables the extension),
+ * a restart of GNOME Shell and a re-login. The state is saved whenever the
+ * tile groups change or a window was grabbed.
+ *
+ * Since the window ids don't stay the same across restarts, the windows are
+ * re-matched with the saved ones by their app id and WM_CLASS. The title,
+ * workspace and monitor decide between multiple candidates. The saved stable
+ * sequence is only used, if GNOME Shell wasn't restarted in the meantime
+ * i. e. if the saved shellInstance is the one of the running GNOME Shell.
+ * Tiled windows, which were closed shortly before saving, are still included
+ * since all windows are closed on logout.
+ *
+ * The file has the following format (version 2):
+ *
+ * {
+ *     "version": 2,
+ *     "shellInstance": "0b8c2d8e-6f1e-4c4a-9d0e-2f0c8e4c1a7b",
+ *     "windows": [{
+ *         "stableSequence": 12,
+ *         "appId": "org.gnome.Nautilus.desktop",
+ *         "wmClass": "org.gnome.Nautilus",
+ *         "title": "Home",
+ *         "workspace": 0,
+ *         "monitor": 0,
+ *         "workArea": { "x": 0, "y": 32, "width": 1920, "height": 1048 },
+ *         "isTiled": true,
+ *         "tiledRect": { "x": 0, "y": 32, "width": 960, "height": 1048 },
+ *         "untiledRect": { "x": 200, "y": 200, "width": 800, "height": 600 }
+ *     }, ...],
+ *     "tileGroups": [[0, 1], ...] // indices into the windows array
+ * }
+ *
+ * Version 1 files (without a version) only saved the stable sequences and
+ * the tile groups by window id. They are migrated by resolving them against
+ * the open windows.
+ */
+
+var Handler = class TilingStateHandler {
+    constructor() {
+        const userDir = GLib.get_user_config_dir();
+        const parentPath = GLib.build_filenamev([userDir, '/tiling-assistant']);
+        const path = GLib.build_filenamev([parentPath, '/tiledSessionRestore.json']);
+        this._parentDir = Gio.File.new_for_path(parentPath);
+        this._file = Gio.File.new_for_path(path);
+
+        this._saveId = 0;
+        this._restoreTimeoutId = 0;
+        // The saved window objects, which weren't matched with a window yet.
+        this._pendingWindows = [];
+        // The saved tile groups as arrays of Meta.Windows and window objects.
+        this._savedTileGroups = [];
+        // The window objects of the last save: { windowId: wObj, ... }
+        this._lastSavedWindows = new Map();
+        // Recently closed tiled windows:
+        // [{ windowId, wObj, tileGroupIds: [windowIds], closedTime }, ...]
+        this._closedWindows = [];
+
+        this._restore();
+
+        this._tileGroupsChangedId = Util.connectToTileGroupManager('tile-groups-changed',
+            () => this._queueSave());
+        this._unmanagedId = Util.connectToTileGroupManager('tiled-window-unmanaged',
+            this._onTiledWindowUnmanaged.bind(this));
+        this._grabEndId = global.display.connect('grab-op-end',
+            () => this._queueSave());
+        this._windowCreatedId = global.display.connect('window-created',
+            this._onWindowCreated.bind(this));
+    }
+
+    destroy() {
+        Util.disconnectFromTileGroupManager(this._tileGroupsChangedId);
+        Util.disconnectFromTileGroupManager(this._unmanagedId);
+        global.display.disconnect(this._grabEndId);
+        global.display.disconnect(this._windowCreatedId);
+
+        if (this._restoreTimeoutId) {
+            GLib.source_remove(this._restoreTimeoutId);
+            this._restoreTimeoutId = 0;
+        }
+
+        // Save immediately since the extension is disabled on screen lock.
+        if (this._saveId) {
+            GLib.source_remove(this._saveId);
+            this._saveId = 0;
+        }
+
+        this._save();
+
+        this._pendingWindows = [];
+        this._savedTileGroups = [];
+        this._lastSavedWindows.clear();
+        this._closedWindows = [];
+    }
+
+    _onTiledWindowUnmanaged(tileGroupManager, window, tileGroup) {
+        const windowId = window.get_id();
+        this._closedWindows.push({
+            windowId,
+            wObj: this._lastSavedWindows.get(windowId) ?? this._windowToJsObj(window),
+            tileGroupIds: tileGroup.map(w => w.get_id()),
+            closedTime: GLib.get_monotonic_time()
+        });
+    }
+
+    _queueSave() {
+        if (this._saveId)
+            return;
+
+        this._saveId = GLib.timeout_add(GLib.PRIORITY_DEFAULT_IDLE, SAVE_DELAY, () => {
+            this._saveId = 0;
+            this._save();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    _save() {
+        // Can't just check for isTiled because maximized windows may
+        // have an untiledRect as well in case window gaps are used.
+        const openWindows = Util.getWindows(true).filter(w => w.untiledRect);
+        const now = GLib.get_monotonic_time();
+        this._closedWindows = this._closedWindows.filter(c => {
+            return now - c.closedTime < CLOSED_WINDOW_TIMEOUT * GLib.USEC_PER_SEC;
+        });
+
+        this._lastSavedWindows.clear();
+        openWindows.forEach(w => this._lastSavedWindows.set(w.get_id(), this._windowToJsObj(w)));
+
+        const windowIds = [
+            ...openWindows.map(w => w.get_id()),
+            ...this._closedWindows.map(c => c.windowId)
+        ];
+        const savedWindows = [
+            ...this._lastSavedWindows.values(),
+            ...this._closedWindows.map(c => c.wObj)
+        ];
+
+        // Merge the tile groups of the open windows with the tile groups,
+        // which the closed windows were part of, and save each tile group
+        // only once as indices of the saved windows.
+        const groupOf = windowIds.map((id, idx) => idx);
+        const findGroup = idx => {
+            while (groupOf[idx] !== idx)
+                idx = groupOf[idx];
+            return idx;
+        };
+        const joinGroups = ids => {
+            const indices = ids.map(id => windowIds.indexOf(id)).filter(idx => idx !== -1);
+            indices.forEach(idx => (groupOf[findGroup(idx)] = findGroup(indices[0])));
+        };
+
+        Util.getTileGroups().forEach(ids => joinGroups(ids));
+        this._closedWindows.forEach(c => joinGroups([c.windowId, ...c.tileGroupIds]));
+
+        const tileGroups = new Map();
+        windowIds.forEach((id, idx) => {
+            const group = findGroup(idx);
+            tileGroups.has(group)
+                ? tileGroups.get(group).push(idx)
+                : tileGroups.set(group, [idx]);
+        });
+
+        const saveObj = {
+            version: VERSION,
+            shellInstance: SHELL_INSTANCE,
+            windows: savedWindows,
+            tileGroups: [...tileGroups.values()]
+        };
+
+        try {
+            try { this._parentDir.make_directory_with_parents(null); } catch (e) {}
+            this._file.replace_contents(JSON.stringify(saveObj), null, false,
+                Gio.FileCreateFlags.REPLACE_DESTINATION, null);
+        } catch (e) {
+            log(`Tiling Assistant: Couldn't save the tiling state: ${e}`);
+        }
+    }
+
+    /**
+     * @param {Meta.Window} window
+     * @returns {object} the object, which is saved for the `window`.
+     */
+    _windowToJsObj(window) {
+        const rectToJsObj = rect => rect && {
+            x: rect.x,
+            y: rect.y,
+            width: rect.width,
+            height: rect.height
+        };
+
+        const monitor = window.get_monitor();
+        return {
+            stableSequence: window.get_stable_sequence(),
+            appId: this._getAppId(window),
+            wmClass: window.get_wm_class(),
+            title: window.get_title(),
+            workspace: window.get_workspace()?.index() ?? -1,
+            monitor,
+            workArea: rectToJsObj(window.get_work_area_for_monitor(monitor)),
+            isTiled: !!window.isTiled,
+            tiledRect: rectToJsObj(window.tiledRect),
+            untiledRect: rectToJsObj(window.untiledRect)
+        };
+    }
+
+    _load() {
+        if (!this._file.query_exists(null))
+            return null;
+
+        try {
+            const [success, contents] = this._file.load_contents(null);
+            if (!success || !contents.length)
+                return null;
+
+            const saveObj = JSON.parse(ByteArray.toString(contents));
+            return saveObj.version === VERSION ? saveObj : this._migrate(saveObj);
+        } catch (e) {
+            log(`Tiling Assistant: Couldn't load the tiling state: ${e}`);
+            return null;
+        }
+    }
+
+    /**
+     * Migrates an older save file to the current version.
+     *
+     * @param {object} saveObj the parsed save file.
+     * @returns {object|null} the migrated saveObj.
+     */
+    _migrate(saveObj) {
+        if (saveObj.version)
+            throw new Error(`Unknown version ${saveObj.version}.`);
+
+        // Version 1: { windows: [{ windowId (the stable sequence), isTiled,
+        // tiledRect, untiledRect }], tileGroups: [[windowId, [windowIds]]] }
+        // The ids are only valid in the same GNOME Shell session. So resolve
+        // them against the open windows.
+        const openWindows = Util.getWindows(true);
+        const windows = [];
+        const liveWindows = [];
+        (saveObj.windows ?? []).forEach(wObj => {
+            const window = openWindows.find(w => w.get_stable_sequence() === wObj.windowId);
+            if (!window)
+                return;
+
+            liveWindows.push(window);
+            windows.push({
+                ...this._windowToJsObj(window),
+                isTiled: wObj.isTiled,
+                tiledRect: wObj.tiledRect,
+                untiledRect: wObj.untiledRect
+            });
+        });
+
+        const tileGroups = (saveObj.tileGroups ?? []).map(([, windowIds]) => {
+            return windowIds
+                .map(id => liveWindows.findIndex(w => w.get_id() === id))
+                .filter(idx => idx !== -1);
+        }).filter(group => group.length);
+
+        return {
+            version: VERSION,
+            shellInstance: SHELL_INSTANCE,
+            windows,
+            tileGroups
+        };
+    }
+
+    _restore() {
+        const saveObj = this._load();
+        if (!saveObj)
+            return;
+
+        const sameSession = saveObj.shellInstance === SHELL_INSTANCE;
+        const savedWindows = saveObj.windows.map(wObj => {
+            // Stable sequences are reset, if GNOME Shell is restarted.
+            return sameSession ? wObj : { ...wObj, stableSequence: null };
+        });
+
+        // Match the best pairs of saved windows and open windows first.
+        const candidates = [];
+        Util.getWindows(true).forEach(window => {
+            savedWindows.forEach(wObj => {
+                const score = this._getMatchScore(window, wObj);
+                score >= 0 && candidates.push({ window, wObj, score });
+            });
+        });
+        candidates.sort((c1, c2) => c2.score - c1.score);
+
+        const matchedWindows = new Map();
+        candidates.forEach(({ window, wObj }) => {
+            if (matchedWindows.has(wObj) || [...matchedWindows.values()].includes(window))
+                return;
+
+            matchedWindows.set(wObj, window);
+            this._restoreWindow(window, wObj);
+        });
+
+        // The tile groups hold the matched Meta.Windows or the saved window
+        // objects, if they weren't matched (yet).
+        this._savedTileGroups = saveObj.tileGroups.map(group => {
+            return group
+                .map(idx => savedWindows[idx])
+                .filter(wObj => wObj)
+                .map(wObj => matchedWindows.get(wObj) ?? wObj);
+        });
+        this._savedTileGroups.forEach(group => this._restoreTileGroup(group));
+
+        this._pendingWindows = savedWindows.filter(wObj => !matchedWindows.has(wObj));
+        if (!this._pendingWindows.length)
+            return;
+
+        this._restoreTimeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, RESTORE_TIMEOUT, () => {
+            this._restoreTimeoutId = 0;
+            this._pendingWindows = [];
+            this._savedTileGroups = [];
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    _onWindowCreated(display, window) {
+        if (!this._pendingWindows.length)
+            return;
+
+        const wActor = window.get_compositor_private();
+        if (!wActor || window.get_window_type() !== Meta.WindowType.NORMAL)
+            return;
+
+        // The title and the app may not be set yet, so wait for the first frame.
+        const firstFrameId = wActor.connect('first-frame', () => {
+            wActor.disconnect(firstFrameId);
+
+            const best = this._pendingWindows.reduce((currBest, wObj) => {
+                const score = this._getMatchScore(window, wObj);
+                return score > currBest.score ? { wObj, score } : currBest;
+            }, { wObj: null, score: -1 });
+            if (!best.wObj)
+                return;
+
+            this._pendingWindows.splice(this._pendingWindows.indexOf(best.wObj), 1);
+            this._restoreWindow(window, best.wObj);
+
+            const group = this._savedTileGroups.find(g => g.includes(best.wObj));
+            if (group) {
+                group.splice(group.indexOf(best.wObj), 1, window);
+                this._restoreTileGroup(group);
+            }
+        });
+    }
+
+    /**
+     * @param {Meta.Window} window
+     * @param {object} wObj a saved window object.
+     * @returns {number} how well the `window` matches the saved `wObj`. -1,
+     *      if they don't match at all.
+     */
+    _getMatchScore(window, wObj) {
+        if (window.get_wm_class() !== wObj.wmClass || this._getAppId(window) !== wObj.appId)
+            return -1;
+
+        let score = 0;
+        if (wObj.stableSequence !== null && window.get_stable_sequence() === wObj.stableSequence)
+            score += 8;
+        if (window.get_title() === wObj.title)
+            score += 4;
+        if ((window.get_workspace()?.index() ?? -1) === wObj.workspace)
+            score += 2;
+        if (window.get_monitor() === wObj.monitor)
+            score += 1;
+
+        return score;
+    }
+
+    /**
+     * Restores the tiling properties of a window and moves it to its tile.
+     *
+     * @param {Meta.Window} window
+     * @param {object} wObj the saved window object.
+     */
+    _restoreWindow(window, wObj) {
+        const jsToRect = jsRect => jsRect && new Rect(
+            jsRect.x, jsRect.y, jsRect.width, jsRect.height
+        );
+
+        const workspaceCount = global.workspace_manager.get_n_workspaces();
+        if (wObj.workspace >= 0 && wObj.workspace < workspaceCount &&
+                !window.is_on_all_workspaces())
+            window.change_workspace_by_index(wObj.workspace, false);
+
+        window.untiledRect = jsToRect(wObj.untiledRect);
+
+        const tiledRect = jsToRect(wObj.tiledRect);
+        if (!wObj.isTiled || !tiledRect)
+            return;
+
+        // Scale the tiledRect, if the work area changed in the meantime
+        // (e. g. the monitor setup changed).
+        const monitor = global.display.get_monitor_index_for_rect(tiledRect.meta);
+        const workArea = new Rect(window.get_work_area_for_monitor(monitor));
+        const savedWorkArea = jsToRect(wObj.workArea) ?? workArea;
+        if (!savedWorkArea.equal(workArea)) {
+            const scale = (value, pos, size) => {
+                return workArea[pos] + (value - savedWorkArea[pos]) *
+                        workArea[size] / savedWorkArea[size];
+            };
+            const x = Math.round(scale(tiledRect.x, 'x', 'width'));
+            const y = Math.round(scale(tiledRect.y, 'y', 'height'));
+            const x2 = Math.round(scale(tiledRect.x2, 'x', 'width'));
+            const y2 = Math.round(scale(tiledRect.y2, 'y', 'height'));
+            tiledRect.x = x;
+            tiledRect.y = y;
+            tiledRect.width = x2 - x;
+            tiledRect.height = y2 - y;
+            tiledRect.tryAlignWith(workArea);
+        }
+
+        window.isTiled = true;
+        window.tiledRect = tiledRect;
+
+        if (window.get_maximized() || !window.allows_move() || !window.allows_resize())
+            return;
+
+        // After a restart the window may already be at the right spot.
+        const rect = Util.getRectWithGap(tiledRect, workArea);
+        if (!rect.equal(window.get_frame_rect()))
+            window.move_resize_frame(false, rect.x, rect.y, rect.width, rect.height);
+    }
+
+    /**
+     * @param {Array} tileGroup the saved tile group. It consists of Meta.Windows
+     *      and window objects, if some windows weren't matched yet.
+     */
+    _restoreTileGroup(tileGroup) {
+        const windows = tileGroup.filter(w => w instanceof Meta.Window && w.isTiled);
+        windows.length && Util.updateTileGroup(windows);
+    }
+
+    _getAppId(window) {
+        const app = Shell.WindowTracker.get_default().get_window_app(window);
+        // Window-backed apps have ids based on the stable sequence.
+        return app && !app.is_window_backed() ? app.get_id() : null;
+    }
+};
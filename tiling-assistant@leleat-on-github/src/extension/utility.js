@@ -7,9 +7,20 @@ const ByteArray = imports.byteArray;
 const ExtensionUtils = imports.misc.extensionUtils;
 const Me = ExtensionUtils.getCurrentExtension();
 
-const { Direction, Orientation, Settings, Shortcuts } = Me.imports.src.common;
+const {
+    Direction,
+    Orientation,
+    Settings,
+    Shortcuts,
+    TileGroupTransforms,
+    WindowRuleActions
+} = Me.imports.src.common;
 const { Axis, Rect } = Me.imports.src.extension.geometry;
+const HistoryManager = Me.imports.src.extension.historyManager.Manager;
+const TabManager = Me.imports.src.extension.tabManager.Manager;
 const TileGroupManager = Me.imports.src.extension.tileGroupManager.Manager;
+const TileTree = Me.imports.src.extension.tileTree.TileTree;
+const WindowRulesManager = Me.imports.src.extension.windowRulesManager.Manager;
 
 const GNOME_VERSION = parseFloat(imports.misc.config.PACKAGE_VERSION);
 
@@ -21,11 +32,21 @@ const GNOME_VERSION = parseFloat(imports.misc.config.PACKAGE_VERSION);
 var Util = class Utility {
     static initialize() {
         this._tileGroupManager = new TileGroupManager();
+        this._tabManager = new TabManager(this._tileGroupManager);
+        this._historyManager = new HistoryManager();
+        this._windowRulesManager = new WindowRulesManager();
+        this._isMovingTileGroup = false;
     }
 
     static destroy() {
+        this._historyManager.destroy();
+        this._historyManager = null;
+        this._tabManager.destroy();
+        this._tabManager = null;
         this._tileGroupManager.destroy();
         this._tileGroupManager = null;
+        this._windowRulesManager.destroy();
+        this._windowRulesManager = null;
     }
 
     /**
@@ -179,6 +200,11 @@ var Util = class Utility {
             if (window.get_monitor() !== monitor)
                 continue;
 
+            // Windows, which the user wants to be ignored, neither belong to
+            // the tile group nor do they break it apart by overlapping it.
+            if (this.hasWindowRule(window, WindowRuleActions.IGNORE))
+                continue;
+
             if (window.isTiled) {
                 const wRect = window.tiledRect;
 
@@ -260,11 +286,13 @@ var Util = class Utility {
      * @param {Rect} [currRect=null] a Rect, which may be expanded.
      * @param {Orientation} [orientation=null] The direction we want to expand
      *      `currRect` into. If `null`, expand in all directions.
+     * @param {number} [monitor] the index of the monitor, whose workArea
+     *      is used. Defaults to the current monitor.
      * @returns {Rect} a new Rect.
      */
-    static getBestFreeRect(rectList, currRect = null, orientation = null) {
+    static getBestFreeRect(rectList, currRect = null, orientation = null,
+            monitor = global.display.get_current_monitor()) {
         const activeWs = global.workspace_manager.get_active_workspace();
-        const monitor = global.display.get_current_monitor();
         const workArea = new Rect(activeWs.get_work_area_for_monitor(monitor));
         const freeRects = workArea.minus(rectList);
         if (!freeRects.length)
@@ -350,7 +378,7 @@ var Util = class Utility {
                 rectList.splice(currRectIdx, 1);
                 rectList.push(newRect);
                 return newRect.union(
-                    this.getBestFreeRect(rectList, newRect, Orientation.H));
+                    this.getBestFreeRect(rectList, newRect, Orientation.H, monitor));
             } else {
                 return newRect;
             }
@@ -365,7 +393,7 @@ var Util = class Utility {
             });
             rectList.push(biggestSingle);
 
-            return this.getBestFreeRect(rectList, biggestSingle);
+            return this.getBestFreeRect(rectList, biggestSingle, null, monitor);
         }
     }
 
@@ -416,7 +444,8 @@ var Util = class Utility {
         const topTileGroup = this.getTopTileGroup(true, monitor);
         const existingRects = topTileGroup.length >= 1
             ? topTileGroup.map(w => w.tiledRect)
-            : this.getFavoriteLayout();
+            // An explicit null wouldn't use the default parameter.
+            : this.getFavoriteLayout(monitor ?? undefined);
         const screenRects = existingRects.concat(workArea.minus(existingRects));
 
         switch (shortcut) {
@@ -531,11 +560,19 @@ var Util = class Utility {
      *      Popup after the window is tiled and there is unambiguous free
      *      screen space.
      * @param {boolean} [skipAnim=false] decides, if we skip the tile animation.
+     * @param {TileTree} [tileTree=null] the tree, which should back the tile
+     *      group. Pass it to every call, when re-tiling multiple windows
+     *      according to a modified tree. See TileGroupManager.updateTileGroup().
      */
-    static tile(window, newRect, { openTilingPopup = true, skipAnim = false } = {}) {
+    static tile(window, newRect, { openTilingPopup = true, skipAnim = false, tileTree = null } = {}) {
         if (!window || window.is_skip_taskbar())
             return;
 
+        if (this.hasWindowRule(window, WindowRuleActions.FLOAT))
+            return;
+
+        this._historyManager.record();
+
         const wasMaximized = window.get_maximized();
         if (wasMaximized)
             window.unmaximize(wasMaximized);
@@ -548,6 +585,9 @@ var Util = class Utility {
         // the window can be below others.
         window.raise();
 
+        // A tab group follows its active tab. Other tabs leave their group.
+        this._tabManager.prepareTiling(window, newRect);
+
         // Remove window from the other windows' tileGroups so it
         // doesn't falsely get raised with them.
         this.dissolveTileGroup(window.get_id());
@@ -574,7 +614,8 @@ var Util = class Utility {
         // For ex. which only resize in full rows/columns like gnome-terminal
         window.tiledRect = newRect.copy();
 
-        const { x, y, width, height } = this.getRectWithGap(newRect, workArea);
+        const gapRect = this.getRectWithGap(newRect, workArea);
+        const { x, y, width, height } = this._tabManager.getFrameRect(window, gapRect);
 
         // Animations
         const wActor = window.get_compositor_private();
@@ -628,7 +669,7 @@ var Util = class Utility {
         // but only allow a window to be part of 1 tileGroup at a time
         const topTileGroup = this.getTopTileGroup(false);
         topTileGroup.forEach(w => this.dissolveTileGroup(w.get_id()));
-        this.updateTileGroup(topTileGroup);
+        this.updateTileGroup(topTileGroup, tileTree);
 
         openTilingPopup && this.tryOpeningTilingPopup();
     }
@@ -646,6 +687,8 @@ var Util = class Utility {
      * @param {boolean} [skipAnim=false] decides, if we skip the until animation.
      */
     static untile(window, { restoreFullPos = true, xAnchor = undefined, skipAnim = false } = {}) {
+        this._historyManager.record();
+
         const wasMaximized = window.get_maximized();
         if (wasMaximized)
             window.unmaximize(wasMaximized);
@@ -653,6 +696,9 @@ var Util = class Utility {
         if (!window.untiledRect || !window.allows_resize() || !window.allows_move())
             return;
 
+        // Let the next tab take over the window's spot.
+        this._tabManager.removeTab(window);
+
         // If you tiled a window and then used the popup to tile more
         // windows, the consecutive windows will be raised above the first
         // one. So untiling the initial window after tiling more windows with
@@ -690,6 +736,125 @@ var Util = class Utility {
         window.untiledRect = null;
     }
 
+    /**
+     * Rotates, mirrors or balances the layout of a tile group as a whole.
+     * The transformation is done on the group's tree so that free spots in
+     * the layout are kept.
+     *
+     * @param {Meta.Window[]} tileGroup
+     * @param {string} transform one of TileGroupTransforms.
+     * @returns {boolean} wether the tile group was transformed. That fails,
+     *      if the layout can't be represented by a TileTree.
+     */
+    static transformTileGroup(tileGroup, transform) {
+        if (!tileGroup.length)
+            return false;
+
+        const window = tileGroup[0];
+        const monitor = global.display.get_monitor_index_for_rect(window.tiledRect.meta);
+        const workArea = new Rect(window.get_work_area_for_monitor(monitor));
+        const tileTree = this.getTileTreeFor(window)?.clone() ??
+            TileTree.build(tileGroup, workArea);
+        if (!tileTree || tileGroup.some(w => !tileTree.getLeafFor(w)))
+            return false;
+
+        switch (transform) {
+            case TileGroupTransforms.ROTATE:
+                tileTree.rotate();
+                break;
+            case TileGroupTransforms.MIRROR_HORIZONTALLY:
+                tileTree.mirror(Orientation.V);
+                break;
+            case TileGroupTransforms.MIRROR_VERTICALLY:
+                tileTree.mirror(Orientation.H);
+                break;
+            case TileGroupTransforms.BALANCE:
+                tileTree.balance();
+        }
+
+        tileGroup.forEach(w => {
+            const rect = tileTree.getRectFor(w);
+            if (!rect.equal(w.tiledRect))
+                this.tile(w, rect, { openTilingPopup: false, tileTree });
+        });
+
+        // Keep the tree, even if only the free spots changed.
+        this.updateTileGroup(tileGroup, tileTree);
+        return true;
+    }
+
+    /**
+     * Moves a tile group to another monitor and/or workspace as a unit. The
+     * windows keep their relative positions: the group's TileTree is laid
+     * out on the new workArea. Without a (complete) tree, the edges of the
+     * tiledRects are scaled, so that shared edges stay shared.
+     *
+     * @param {Meta.Window[]} tileGroup
+     * @param {number} monitor the index of the new monitor.
+     * @param {Meta.Workspace} workspace the new workspace.
+     * @returns {boolean} wether the tile group was moved.
+     */
+    static moveTileGroup(tileGroup, monitor, workspace) {
+        if (!tileGroup.length)
+            return false;
+
+        const window = tileGroup[0];
+        const oldMonitor = global.display.get_monitor_index_for_rect(window.tiledRect.meta);
+        const oldWorkArea = new Rect(window.get_work_area_for_monitor(oldMonitor));
+        const workArea = new Rect(workspace.get_work_area_for_monitor(monitor));
+
+        let tileTree = this.getTileTreeFor(window)?.clone() ??
+            TileTree.build(tileGroup, oldWorkArea);
+        if (tileTree && tileGroup.every(w => tileTree.getLeafFor(w)))
+            tileTree.layout(workArea);
+        else
+            tileTree = null;
+
+        const scale = (pos, oldStart, oldSize, start, size) =>
+            Math.round(start + (pos - oldStart) / oldSize * size);
+        const getRect = w => {
+            if (tileTree)
+                return tileTree.getRectFor(w);
+
+            const r = w.tiledRect;
+            const x = scale(r.x, oldWorkArea.x, oldWorkArea.width, workArea.x, workArea.width);
+            const y = scale(r.y, oldWorkArea.y, oldWorkArea.height, workArea.y, workArea.height);
+            const x2 = scale(r.x2, oldWorkArea.x, oldWorkArea.width, workArea.x, workArea.width);
+            const y2 = scale(r.y2, oldWorkArea.y, oldWorkArea.height, workArea.y, workArea.height);
+            return new Rect(x, y, x2 - x, y2 - y);
+        };
+
+        // The moveHandler re-tiles windows, which entered a new monitor, on
+        // their own. That would break the group while it's being moved.
+        this._isMovingTileGroup = true;
+        this._historyManager.start();
+
+        tileGroup.forEach(w => {
+            // The inactive tabs follow the active tab to the new workspace.
+            // On the new monitor, they are placed, when it's tiled.
+            w.get_workspace() !== workspace && this._tabManager.changeWorkspace(w, workspace);
+            w.get_monitor() !== monitor && w.move_to_monitor(monitor);
+            this.tile(w, getRect(w), { openTilingPopup: false, skipAnim: true, tileTree });
+        });
+
+        // Util.tile() groups the windows based on the stacking order of the
+        // active workspace. So restore the exact tile group afterwards.
+        tileGroup.forEach(w => this.dissolveTileGroup(w.get_id()));
+        this.updateTileGroup(tileGroup, tileTree);
+
+        this._historyManager.finish();
+        this._isMovingTileGroup = false;
+        return true;
+    }
+
+    /**
+     * @returns {boolean} wether a tile group is being moved to another
+     *      monitor or workspace with moveTileGroup().
+     */
+    static isMovingTileGroup() {
+        return !!this._isMovingTileGroup;
+    }
+
     /**
      * Opens the Tiling Popup, if there is unambiguous free screen space,
      * and offer to tile an open window to that spot.
@@ -783,40 +948,133 @@ var Util = class Utility {
     }
 
     /**
-     * @returns {Rect[]} the rects of the 'Favorite layout'
+     * Writes the layouts to the layouts file. The prefs window reloads
+     * the layouts from the file, when it's opened.
+     *
+     * @param {Layout[]} layouts
+     * @returns {boolean} wether the layouts were saved.
      */
-    static getFavoriteLayout() {
+    static saveLayouts(layouts) {
+        const userDir = GLib.get_user_config_dir();
+        const parentDir = Gio.File.new_for_path(GLib.build_filenamev([userDir, '/tiling-assistant']));
+        const file = parentDir.get_child('layouts.json');
+
+        try {
+            try { parentDir.make_directory_with_parents(null); } catch (e) {}
+            file.replace_contents(JSON.stringify(layouts), null, false,
+                Gio.FileCreateFlags.REPLACE_DESTINATION, null);
+        } catch (e) {
+            log(`Tiling Assistant: Couldn't save the layouts: ${e}`);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * @param {number} [monitor] the index of the monitor. By default, the
+     *      current monitor.
+     * @returns {Rect[]} the rects of the 'Favorite layout' of the current
+     *      workspace.
+     */
+    static getFavoriteLayout(monitor = global.display.get_current_monitor()) {
         // I don't know when the layout may have changed on the disk(?),
         // so always get it anew.
-        const favoriteLayout = [];
         const layouts = this.getLayouts();
-        const layout = layouts?.[Settings.getInt(Settings.FAVORITE_LAYOUT)];
+        // A layout may be bound to the current workspace. Otherwise use the
+        // global favorite layout.
+        const activeWsIdx = global.workspace_manager.get_active_workspace_index();
+        const layout = layouts.find(l => l._workspaces?.includes(activeWsIdx)) ??
+                layouts[Settings.getInt(Settings.FAVORITE_LAYOUT)];
 
-        if (!layout)
-            return [];
+        return layout ? this.getLayoutRects(layout, monitor) : [];
+    }
 
+    /**
+     * @param {number} monitor the index of the monitor.
+     * @returns {Rect[]} the snap zones of `monitor`. They are the rects of
+     *      the layout, which is bound to the monitor. Otherwise, they are
+     *      the rects of the 'Favorite layout'.
+     */
+    static getSnapZones(monitor) {
+        const monitorManager = Meta.MonitorManager.get();
+        const isMonitor = m => typeof m === 'string'
+            ? monitorManager.get_monitor_for_connector(m) === monitor
+            : m === monitor;
+        const layout = this.getLayouts().find(l => l._zoneMonitors?.some(isMonitor));
+
+        return layout ? this.getLayoutRects(layout, monitor) : this.getFavoriteLayout(monitor);
+    }
+
+    /**
+     * @param {Layout} layout a parsed layout from the layouts file.
+     * @param {number} monitor the index of the monitor.
+     * @returns {Rect[]} the rects of the layout's items, which are on
+     *      `monitor`, scaled to the monitor's workArea.
+     */
+    static getLayoutRects(layout, monitor) {
+        const rects = [];
         const activeWs = global.workspace_manager.get_active_workspace();
-        const monitor = global.display.get_current_monitor();
         const workArea = new Rect(activeWs.get_work_area_for_monitor(monitor));
 
+        // Only use the items, which are on the monitor.
+        const items = layout._items.filter(item => {
+            return (item.monitor ?? null) === null ||
+                    this.getLayoutMonitor(item.monitor) === monitor;
+        });
+
         // Scale the rect's ratios to the workArea. Try to align the rects to
         // each other and the workArea to workaround possible rounding errors
         // due to the scaling.
-        layout._items.forEach(({ rect: rectRatios }, idx) => {
+        items.forEach(({ rect: rectRatios }, idx) => {
             const rect = new Rect(
                 workArea.x + Math.floor(rectRatios.x * workArea.width),
                 workArea.y + Math.floor(rectRatios.y * workArea.height),
                 Math.ceil(rectRatios.width * workArea.width),
                 Math.ceil(rectRatios.height * workArea.height)
             );
-            favoriteLayout.push(rect);
+            rects.push(rect);
 
             for (let i = 0; i < idx; i++)
-                rect.tryAlignWith(favoriteLayout[i]);
+                rect.tryAlignWith(rects[i]);
         });
 
-        favoriteLayout.forEach(rect => rect.tryAlignWith(workArea));
-        return favoriteLayout;
+        rects.forEach(rect => rect.tryAlignWith(workArea));
+        return rects;
+    }
+
+    /**
+     * @param {number|string|null} monitor the monitor of a LayoutItem: a
+     *      monitor index, a connector name (e. g. 'HDMI-1'), 'primary',
+     *      'other' or null.
+     * @returns {number} the index of the monitor. If it doesn't exist (e. g.
+     *      because it isn't connected), the current monitor's index.
+     */
+    static getLayoutMonitor(monitor) {
+        const currMonitor = global.display.get_current_monitor();
+        const primaryMonitor = global.display.get_primary_monitor();
+        const nMonitors = global.display.get_n_monitors();
+
+        if (monitor === 'primary') {
+            return primaryMonitor;
+        } else if (monitor === 'other') {
+            if (currMonitor !== primaryMonitor)
+                return currMonitor;
+
+            for (let i = 0; i < nMonitors; i++) {
+                if (i !== primaryMonitor)
+                    return i;
+            }
+
+            return primaryMonitor;
+        } else if (typeof monitor === 'string') {
+            const index = Meta.MonitorManager.get().get_monitor_for_connector(monitor);
+            return index !== -1 ? index : currMonitor;
+        } else if (Number.isInteger(monitor) && monitor < nMonitors) {
+            return monitor;
+        }
+
+        return currMonitor;
     }
 
     /**
@@ -852,9 +1110,10 @@ var Util = class Utility {
      * Delegates to the TileGroupmanager. See tileGroupManager.js' function.
      *
      * @param {*} tileGroup
+     * @param {*} tileTree
      */
-    static updateTileGroup(tileGroup) {
-        this._tileGroupManager.updateTileGroup(tileGroup);
+    static updateTileGroup(tileGroup, tileTree = null) {
+        this._tileGroupManager.updateTileGroup(tileGroup, tileTree);
     }
 
     /**
@@ -891,6 +1150,118 @@ var Util = class Utility {
         return this._tileGroupManager.getTileGroupFor(window);
     }
 
+    /**
+     * Delegates to the TileGroupmanager. See tileGroupManager.js' function.
+     *
+     * @param {Meta.Window} window
+     */
+    static getTileTreeFor(window) {
+        return this._tileGroupManager.getTileTreeFor(window);
+    }
+
+    /**
+     * Connects to a signal of the TileGroupManager. See tileGroupManager.js
+     * for the available signals.
+     *
+     * @param {string} signal the signal name.
+     * @param {Function} func the callback.
+     * @returns {number} the signal id.
+     */
+    static connectToTileGroupManager(signal, func) {
+        return this._tileGroupManager.connect(signal, func);
+    }
+
+    /**
+     * @param {number} signalId a signal id returned by
+     *      connectToTileGroupManager().
+     */
+    static disconnectFromTileGroupManager(signalId) {
+        this._tileGroupManager.disconnect(signalId);
+    }
+
+    /**
+     * Delegates to the TabManager. See tabManager.js' function.
+     *
+     * @param {Meta.Window} window
+     * @param {Meta.Window} targetWindow
+     */
+    static addTab(window, targetWindow) {
+        this._tabManager.addTab(window, targetWindow);
+    }
+
+    /**
+     * Delegates to the TabManager. See tabManager.js' function.
+     *
+     * @param {Meta.Window} window
+     */
+    static removeTab(window) {
+        this._tabManager.removeTab(window);
+    }
+
+    /**
+     * Delegates to the TabManager. See tabManager.js' function.
+     *
+     * @param {Meta.Window} window
+     * @returns {Meta.Window[]}
+     */
+    static getTabs(window) {
+        return this._tabManager.getTabs(window);
+    }
+
+    /**
+     * Delegates to the TabManager. See tabManager.js' function.
+     *
+     * @param {Meta.Window} window
+     * @param {boolean} [backward=false]
+     * @returns {Meta.Window}
+     */
+    static cycleTabs(window, backward = false) {
+        return this._tabManager.cycleTabs(window, backward);
+    }
+
+    /**
+     * Delegates to the HistoryManager. See historyManager.js' function.
+     */
+    static startHistoryEntry() {
+        this._historyManager.start();
+    }
+
+    /**
+     * Delegates to the HistoryManager. See historyManager.js' function.
+     */
+    static finishHistoryEntry() {
+        this._historyManager.finish();
+    }
+
+    /**
+     * Delegates to the HistoryManager. See historyManager.js' function.
+     *
+     * @returns {boolean}
+     */
+    static undo() {
+        return this._historyManager.undo();
+    }
+
+    /**
+     * Delegates to the HistoryManager. See historyManager.js' function.
+     *
+     * @returns {boolean}
+     */
+    static redo() {
+        return this._historyManager.redo();
+    }
+
+    /**
+     * Delegates to the WindowRulesManager. See windowRulesManager.js' function.
+     *
+     * @param {Meta.Window} window
+     * @param {WindowRuleActions} action
+     * @returns {boolean}
+     */
+    static hasWindowRule(window, action) {
+        return this._windowRulesManager.hasRule(window, action);
+    }
+
     /**
      * Shows the tiled rects of the top tile group.
      *
@@ -0,0 +1,159 @@
+'use strict';
+
+const { Gio, GLib, Meta, Shell } = imports.gi;
+const ByteArray = imports.byteArray;
+
+const ExtensionUtils = imports.misc.extensionUtils;
+const Me = ExtensionUtils.getCurrentExtension();
+
+const { WindowRuleActions } = Me.imports.src.common;
+const Rect = Me.imports.src.extension.geometry.Rect;
+
+/**
+ * Helper class for Util:
+ * This class loads the user-defined window rules and matches windows against
+ * them. The rules are stored in ~/.config/tiling-assistant/windowRules.json
+ * (next to layouts.json) as an array of objects like this:
+ *
+ * {
+ *     "match": {
+ *         "wmClass": "Steam",       // exact WM_CLASS
+ *         "appId": "steam.desktop", // exact app id (the .desktop file)
+ *         "title": "^Steam$",       // regular expression for the title
+ *         "windowType": "NORMAL"    // a Meta.WindowType, e.g. 'DIALOG'
+ *     },
+ *     "action": "float",            // 'tile', 'float', 'noPopup' or 'ignore'
+ *     "rect": { "x": 0, "y": 0, "width": 0.5, "height": 1 }
+ * }
+ *
+ * A rule applies, if all properties of its `match` object match. The `rect`
+ * is only used by the 'tile' action. Its values are ratios of the work area
+ * (like the rects of the layouts). A window may match multiple rules.
+ */
+
+var Manager = class WindowRulesManager {
+    constructor() {
+        this._rules = [];
+
+        const userDir = GLib.get_user_config_dir();
+        const path = GLib.build_filenamev([userDir, '/tiling-assistant/windowRules.json']);
+        this._file = Gio.File.new_for_path(path);
+        this._loadRules();
+
+        // Reload the rules, if the user edits the file.
+        this._fileMonitor = this._file.monitor_file(Gio.FileMonitorFlags.NONE, null);
+        this._fileMonitor.connect('changed', (monitor, file, otherFile, eventType) => {
+            if (eventType === Gio.FileMonitorEvent.CHANGES_DONE_HINT ||
+                    eventType === Gio.FileMonitorEvent.DELETED)
+                this._loadRules();
+        });
+
+        this._windowCreatedId = global.display.connect('window-created',
+            this._onWindowCreated.bind(this));
+    }
+
+    destroy() {
+        global.display.disconnect(this._windowCreatedId);
+        this._fileMonitor.cancel();
+        this._fileMonitor = null;
+        this._rules = [];
+    }
+
+    /**
+     * @param {Meta.Window} window a Meta.Window.
+     * @returns {object[]} the rules, which match the `window`.
+     */
+    getRulesFor(window) {
+        return this._rules.filter(rule => this._matches(window, rule.match));
+    }
+
+    /**
+     * @param {Meta.Window} window a Meta.Window.
+     * @param {WindowRuleActions} action
+     * @returns {boolean} wether a rule with the `action` matches the `window`.
+     */
+    hasRule(window, action) {
+        return this._rules.some(rule => rule.action === action &&
+                this._matches(window, rule.match));
+    }
+
+    _loadRules() {
+        this._rules = [];
+
+        if (!this._file.query_exists(null))
+            return;
+
+        try {
+            const [success, contents] = this._file.load_contents(null);
+            if (!success || !contents.length)
+                return;
+
+            const rules = JSON.parse(ByteArray.toString(contents));
+            if (!Array.isArray(rules))
+                throw new Error('The window rules need to be an array.');
+
+            this._rules = rules.filter(rule => {
+                const validAction = Object.values(WindowRuleActions)
+                    .includes(rule?.action);
+                return validAction && rule.match && typeof rule.match === 'object';
+            });
+        } catch (e) {
+            log(`Tiling Assistant: Couldn't load the window rules: ${e}`);
+        }
+    }
+
+    _matches(window, match) {
+        if (match.wmClass && window.get_wm_class() !== match.wmClass)
+            return false;
+
+        if (match.appId) {
+            const winTracker = Shell.WindowTracker.get_default();
+            const app = winTracker.get_window_app(window);
+            if (app?.get_id() !== match.appId)
+                return false;
+        }
+
+        if (match.windowType &&
+                window.get_window_type() !== Meta.WindowType[match.windowType])
+            return false;
+
+        if (match.title) {
+            try {
+                if (!new RegExp(match.title).test(window.get_title() ?? ''))
+                    return false;
+            } catch (e) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    _onWindowCreated(display, window) {
+        const wActor = window.get_compositor_private();
+        if (!wActor || !this._rules.some(r => r.action === WindowRuleActions.TILE))
+            return;
+
+        // The title and the app may not be set yet, so wait for the first frame.
+        const firstFrameId = wActor.connect('first-frame', () => {
+            wActor.disconnect(firstFrameId);
+
+            const rule = this.getRulesFor(window)
+                .find(r => r.action === WindowRuleActions.TILE && r.rect);
+            if (!rule)
+                return;
+
+            const workArea = new Rect(window.get_work_area_current_monitor());
+            const rect = new Rect(
+                workArea.x + Math.floor(rule.rect.x * workArea.width),
+                workArea.y + Math.floor(rule.rect.y * workArea.height),
+                Math.ceil(rule.rect.width * workArea.width),
+                Math.ceil(rule.rect.height * workArea.height)
+            );
+            rect.tryAlignWith(workArea);
+
+            const Util = Me.imports.src.extension.utility.Util;
+            Util.tile(window, rect, { openTilingPopup: false, skipAnim: true });
+        });
+    }
+};
@@ -0,0 +1,480 @@
+'use strict';
+
+const { Gdk, Gio, GLib, Gtk } = imports.gi;
+
+const ExtensionUtils = imports.misc.extensionUtils;
+const Me = ExtensionUtils.getCurrentExtension();
+
+const Gettext = imports.gettext;
+const Domain = Gettext.domain(Me.metadata.uuid);
+const _ = Domain.gettext;
+
+// The distance (in px) to an edge of a rect, within which we resize the rect.
+const EDGE_GRAB_DISTANCE = 6;
+// The minimum width / height of a rect as a ratio of the monitor.
+const MIN_SIZE = 0.05;
+// The gap (in px) between the previews of different monitors.
+const MONITOR_GAP = 10;
+
+/**
+ * Helper class for LayoutRow.js:
+ * This class draws the preview of a layout and makes it editable with the
+ * mouse. The user can drag on empty space to create a rect, drag the edges
+ * of rects to resize them (edges, which are shared with other rects, move
+ * together) and click on a rect to split it vertically (or horizontally with
+ * Shift). A right-click opens a context menu to assign an app or a loopType
+ * to a rect or to delete it. The values are snapped to a grid, whose size is
+ * set by the user in the prefs.
+ *
+ * The LayoutRowEntries are the source of truth for the items. So the editor
+ * only changes the items through the LayoutRow, which keeps the text of the
+ * entries in sync.
+ */
+
+var LayoutEditor = class TilingLayoutEditor {
+    /**
+     * @param {LayoutRow} layoutRow the LayoutRow, which owns the editor.
+     * @param {Layout} layout the Layout edited by `layoutRow`.
+     * @param {Gtk.DrawingArea} drawingArea the area to draw the layout on.
+     * @param {Gio.Settings} settings
+     */
+    constructor(layoutRow, layout, drawingArea, settings) {
+        this._layoutRow = layoutRow;
+        this._layout = layout;
+        this._drawingArea = drawingArea;
+        this._settings = settings;
+
+        // The state of the current drag operation. See _onDragBegin().
+        this._drag = null;
+        // The item, for which the context menu was opened.
+        this._menuItem = null;
+        this._popover = null;
+
+        this._drawingArea.set_draw_func(this._draw.bind(this));
+        this._gridChangedId = this._settings.connect('changed::layout-editor-grid',
+            () => this._drawingArea.queue_draw());
+
+        const dragGesture = new Gtk.GestureDrag({ button: Gdk.BUTTON_PRIMARY });
+        dragGesture.connect('drag-begin', this._onDragBegin.bind(this));
+        dragGesture.connect('drag-update', this._onDragUpdate.bind(this));
+        dragGesture.connect('drag-end', this._onDragEnd.bind(this));
+        this._drawingArea.add_controller(dragGesture);
+
+        const menuGesture = new Gtk.GestureClick({ button: Gdk.BUTTON_SECONDARY });
+        menuGesture.connect('pressed', this._onMenuGesturePressed.bind(this));
+        this._drawingArea.add_controller(menuGesture);
+
+        this._setupActions();
+    }
+
+    destroy() {
+        this._settings.disconnect(this._gridChangedId);
+        this._popover?.unparent();
+        this._popover = null;
+    }
+
+    /**
+     * @returns {{monitor: number|string|null, items: LayoutItem[],
+     *      x: number, width: number}[]} the sections of the drawing area.
+     *      Each section previews the items of one monitor.
+     */
+    _getSections() {
+        const allocWidth = this._drawingArea.get_allocated_width();
+        const monitorGroups = this._layout.getItemsByMonitor();
+        if (!monitorGroups.size)
+            monitorGroups.set(null, []);
+
+        const gaps = MONITOR_GAP * (monitorGroups.size - 1);
+        const width = (allocWidth - gaps) / monitorGroups.size;
+        return [...monitorGroups.entries()].map(([monitor, items], idx) => ({
+            monitor,
+            items,
+            x: idx * (width + MONITOR_GAP),
+            width
+        }));
+    }
+
+    /**
+     * @param {number} x the x coordinate on the drawing area.
+     * @returns {object} the section at `x`. See _getSections().
+     */
+    _getSectionAt(x) {
+        const sections = this._getSections();
+        return sections.find(s => x < s.x + s.width + MONITOR_GAP / 2) ??
+                sections[sections.length - 1];
+    }
+
+    /**
+     * @param {number} ratio
+     * @returns {number} the `ratio` snapped to the grid and rounded to 4
+     *      decimal places to keep the text of the entries short.
+     */
+    _snap(ratio) {
+        const gridSize = this._settings.get_int('layout-editor-grid');
+        const snapped = gridSize > 0 ? Math.round(ratio * gridSize) / gridSize : ratio;
+        return this._round(Math.min(Math.max(snapped, 0), 1));
+    }
+
+    _round(ratio) {
+        return Math.round(ratio * 10000) / 10000;
+    }
+
+    /**
+     * @param {object} section a section from _getSections().
+     * @param {number} x the x coordinate on the drawing area.
+     * @param {number} y the y coordinate on the drawing area.
+     * @returns {LayoutItem|undefined} the item at the position.
+     */
+    _getItemAt(section, x, y) {
+        const height = this._drawingArea.get_allocated_height();
+        const rx = (x - section.x) / section.width;
+        const ry = y / height;
+        return section.items.find(({ rect }) => {
+            return rx >= rect.x && rx <= rect.x + rect.width &&
+                    ry >= rect.y && ry <= rect.y + rect.height;
+        });
+    }
+
+    /**
+     * @param {object} section a section from _getSections().
+     * @param {number} x the x coordinate on the drawing area.
+     * @param {number} y the y coordinate on the drawing area.
+     * @returns {{item: LayoutItem, pos: string, size: string, value: number}|null}
+     *      the edge of an item near the position. `pos` and `size` are the
+     *      names of the rect's properties on the edge's axis and `value` is
+     *      the edge's position.
+     */
+    _getEdgeAt(section, x, y) {
+        const height = this._drawingArea.get_allocated_height();
+        for (const item of section.items) {
+            const { rect } = item;
+            const x1 = section.x + rect.x * section.width;
+            const x2 = section.x + (rect.x + rect.width) * section.width;
+            const y1 = rect.y * height;
+            const y2 = (rect.y + rect.height) * height;
+            const withinX = x >= x1 - EDGE_GRAB_DISTANCE && x <= x2 + EDGE_GRAB_DISTANCE;
+            const withinY = y >= y1 - EDGE_GRAB_DISTANCE && y <= y2 + EDGE_GRAB_DISTANCE;
+
+            if (withinY && Math.abs(x - x1) <= EDGE_GRAB_DISTANCE)
+                return { item, pos: 'x', size: 'width', value: rect.x };
+            if (withinY && Math.abs(x - x2) <= EDGE_GRAB_DISTANCE)
+                return { item, pos: 'x', size: 'width', value: rect.x + rect.width };
+            if (withinX && Math.abs(y - y1) <= EDGE_GRAB_DISTANCE)
+                return { item, pos: 'y', size: 'height', value: rect.y };
+            if (withinX && Math.abs(y - y2) <= EDGE_GRAB_DISTANCE)
+                return { item, pos: 'y', size: 'height', value: rect.y + rect.height };
+        }
+
+        return null;
+    }
+
+    _onDragBegin(gesture, startX, startY) {
+        const section = this._getSectionAt(startX);
+        const edge = this._getEdgeAt(section, startX, startY);
+        const item = this._getItemAt(section, startX, startY);
+        const state = gesture.get_current_event_state();
+        this._drag = { section, startX, startY, offsetX: 0, offsetY: 0, state };
+
+        if (edge) {
+            // Move all edges on the same line, which touch the grabbed item,
+            // so that adjacent rects stay adjacent.
+            const [otherPos, otherSize] = edge.pos === 'x' ? ['y', 'height'] : ['x', 'width'];
+            const { rect } = edge.item;
+            const equal = (a, b) => Math.abs(a - b) < 0.0001;
+            const touches = r => r[otherPos] < rect[otherPos] + rect[otherSize] &&
+                    r[otherPos] + r[otherSize] > rect[otherPos];
+
+            this._drag.edge = edge;
+            this._drag.affected = section.items
+                .filter(i => touches(i.rect) && (equal(i.rect[edge.pos], edge.value) ||
+                        equal(i.rect[edge.pos] + i.rect[edge.size], edge.value)))
+                .map(i => ({
+                    item: i,
+                    start: i.rect[edge.pos],
+                    end: i.rect[edge.pos] + i.rect[edge.size],
+                    movesStart: equal(i.rect[edge.pos], edge.value)
+                }));
+        } else if (item) {
+            this._drag.item = item;
+        }
+    }
+
+    _onDragUpdate(gesture, offsetX, offsetY) {
+        if (!this._drag)
+            return;
+
+        this._drag.offsetX = offsetX;
+        this._drag.offsetY = offsetY;
+
+        if (this._drag.edge) {
+            this._resizeEdge();
+        } else if (!this._drag.item) {
+            // Show the rect, which is being created.
+            this._drawingArea.queue_draw();
+        }
+    }
+
+    _onDragEnd(gesture, offsetX, offsetY) {
+        if (!this._drag)
+            return;
+
+        const isClick = Math.abs(offsetX) < 3 && Math.abs(offsetY) < 3;
+        const { item, edge, state } = this._drag;
+        if (!edge && item && isClick) {
+            const vertical = !(state & Gdk.ModifierType.SHIFT_MASK);
+            this._splitItem(item, vertical, this._drag.startX, this._drag.startY);
+        } else if (!edge && !item && !isClick) {
+            this._createItem();
+        }
+
+        this._drag = null;
+        this._drawingArea.queue_draw();
+    }
+
+    _resizeEdge() {
+        const { section, edge, affected, offsetX, offsetY } = this._drag;
+        const size = edge.pos === 'x'
+            ? section.width
+            : this._drawingArea.get_allocated_height();
+        const offset = edge.pos === 'x' ? offsetX : offsetY;
+
+        // Keep the minimum size for all affected rects.
+        let value = this._snap(edge.value + offset / size);
+        affected.forEach(({ start, end, movesStart }) => {
+            value = movesStart
+                ? Math.min(value, end - MIN_SIZE)
+                : Math.max(value, start + MIN_SIZE);
+        });
+        value = this._round(value);
+
+        affected.forEach(({ item, start, end, movesStart }) => {
+            if (movesStart) {
+                item.rect[edge.pos] = value;
+                item.rect[edge.size] = this._round(end - value);
+            } else {
+                item.rect[edge.size] = this._round(value - start);
+            }
+
+            this._layoutRow.updateItem(item);
+        });
+    }
+
+    /**
+     * @returns {object|null} the rect, which is being created by dragging
+     *      on empty space, in ratios of its section.
+     */
+    _getCreatedRect() {
+        if (!this._drag || this._drag.edge || this._drag.item)
+            return null;
+
+        const { section, startX, startY, offsetX, offsetY } = this._drag;
+        const height = this._drawingArea.get_allocated_height();
+        const x1 = this._snap((startX - section.x) / section.width);
+        const y1 = this._snap(startY / height);
+        const x2 = this._snap((startX + offsetX - section.x) / section.width);
+        const y2 = this._snap((startY + offsetY) / height);
+        return {
+            x: Math.min(x1, x2),
+            y: Math.min(y1, y2),
+            width: this._round(Math.abs(x2 - x1)),
+            height: this._round(Math.abs(y2 - y1))
+        };
+    }
+
+    _createItem() {
+        const rect = this._getCreatedRect();
+        if (!rect || rect.width < MIN_SIZE || rect.height < MIN_SIZE)
+            return;
+
+        const overlaps = this._drag.section.items.some(({ rect: r }) => {
+            return rect.x < r.x + r.width && rect.x + rect.width > r.x &&
+                    rect.y < r.y + r.height && rect.y + rect.height > r.y;
+        });
+        if (overlaps)
+            return;
+
+        this._layoutRow.addItem(rect, this._drag.section.monitor);
+    }
+
+    /**
+     * Splits an item in 2. The new item takes the right / bottom part.
+     *
+     * @param {LayoutItem} item
+     * @param {boolean} vertical wether to split along a vertical line.
+     * @param {number} [x=null] the x coordinate on the drawing area to split
+     *      at. By default, the item is split in half.
+     * @param {number} [y=null] the y coordinate on the drawing area to split
+     *      at. By default, the item is split in half.
+     */
+    _splitItem(item, vertical, x = null, y = null) {
+        const { rect } = item;
+        const [pos, size] = vertical ? ['x', 'width'] : ['y', 'height'];
+        let splitAt = this._round(rect[pos] + rect[size] / 2);
+        if (vertical && x !== null) {
+            const section = this._getSectionAt(x);
+            splitAt = this._snap((x - section.x) / section.width);
+        } else if (!vertical && y !== null) {
+            splitAt = this._snap(y / this._drawingArea.get_allocated_height());
+        }
+
+        const end = rect[pos] + rect[size];
+        if (splitAt - rect[pos] < MIN_SIZE || end - splitAt < MIN_SIZE)
+            return;
+
+        const newRect = { ...rect };
+        newRect[pos] = splitAt;
+        newRect[size] = this._round(end - splitAt);
+        rect[size] = this._round(splitAt - rect[pos]);
+
+        this._layoutRow.updateItem(item);
+        this._layoutRow.addItem(newRect, item.monitor ?? null);
+    }
+
+    _setupActions() {
+        const actionGroup = new Gio.SimpleActionGroup();
+        this._drawingArea.insert_action_group('editor', actionGroup);
+
+        const addAction = (name, func) => {
+            const action = new Gio.SimpleAction({ name });
+            action.connect('activate', () => this._menuItem && func(this._menuItem));
+            actionGroup.add_action(action);
+            return action;
+        };
+
+        addAction('split-vertically', item => this._splitItem(item, true));
+        addAction('split-horizontally', item => this._splitItem(item, false));
+        addAction('choose-app', item => this._layoutRow.chooseApp(item));
+        this._removeAppAction = addAction('remove-app', item => this._layoutRow.removeApp(item));
+        addAction('delete', item => this._layoutRow.removeItem(item));
+
+        this._loopAction = Gio.SimpleAction.new_stateful('loop',
+            new GLib.VariantType('s'), new GLib.Variant('s', ''));
+        this._loopAction.connect('activate', (action, param) => {
+            if (!this._menuItem)
+                return;
+
+            action.set_state(param);
+            this._menuItem.loopType = param.unpack() || null;
+            this._layoutRow.updateItem(this._menuItem);
+        });
+        actionGroup.add_action(this._loopAction);
+    }
+
+    _onMenuGesturePressed(gesture, nPress, x, y) {
+        const section = this._getSectionAt(x);
+        const item = this._getItemAt(section, x, y);
+        if (!item)
+            return;
+
+        this._menuItem = item;
+        this._removeAppAction.set_enabled(!!item.appId);
+        this._loopAction.set_state(new GLib.Variant('s', item.loopType ?? ''));
+
+        if (!this._popover) {
+            const menu = new Gio.Menu();
+            const splitSection = new Gio.Menu();
+            splitSection.append(_('Split Vertically'), 'editor.split-vertically');
+            splitSection.append(_('Split Horizontally'), 'editor.split-horizontally');
+            menu.append_section(null, splitSection);
+
+            const loopSection = new Gio.Menu();
+            [
+                [_('No Loop'), ''],
+                [_('Horizontal Loop'), 'h'],
+                [_('Vertical Loop'), 'v'],
+                [_('Tabbed Loop'), 't']
+            ].forEach(([label, loopType]) => {
+                const menuItem = Gio.MenuItem.new(label, null);
+                menuItem.set_action_and_target_value('editor.loop',
+                    new GLib.Variant('s', loopType));
+                loopSection.append_item(menuItem);
+            });
+            menu.append_section(null, loopSection);
+
+            const itemSection = new Gio.Menu();
+            itemSection.append(_('Choose App…'), 'editor.choose-app');
+            itemSection.append(_('Remove App'), 'editor.remove-app');
+            itemSection.append(_('Delete Rectangle'), 'editor.delete');
+            menu.append_section(null, itemSection);
+
+            this._popover = Gtk.PopoverMenu.new_from_model(menu);
+            this._popover.set_has_arrow(false);
+            this._popover.set_parent(this._drawingArea);
+        }
+
+        const pointingTo = new Gdk.Rectangle({ x, y, width: 1, height: 1 });
+        this._popover.set_pointing_to(pointingTo);
+        this._popover.popup();
+    }
+
+    _draw(drawingArea, cr) {
+        const color = new Gdk.RGBA();
+        const height = drawingArea.get_allocated_height();
+        const sections = this._getSections();
+        const gridSize = this._settings.get_int('layout-editor-grid');
+        const showLabels = sections.length > 1 || sections[0].monitor !== null;
+
+        cr.setLineWidth(1.0);
+
+        sections.forEach(({ monitor, items, x: offset, width }) => {
+            // Draw the grid, which the rects snap to.
+            if (gridSize > 0) {
+                color.parse('rgba(255, 255, 255, .05)');
+                Gdk.cairo_set_source_rgba(cr, color);
+                for (let i = 1; i < gridSize; i++) {
+                    cr.moveTo(offset + Math.round(i / gridSize * width) + .5, 0);
+                    cr.lineTo(offset + Math.round(i / gridSize * width) + .5, height);
+                    cr.moveTo(offset, Math.round(i / gridSize * height) + .5);
+                    cr.lineTo(offset + width, Math.round(i / gridSize * height) + .5);
+                }
+                cr.stroke();
+            }
+
+            // Rects are in a slightly transparent white with a 1px outline
+            // and a 5px gap between the different rects. Fill the rects in
+            // transparent black. If the rect is a 'loop', lower the transparency.
+            items.forEach(item => {
+                this._drawRect(cr, item.rect, offset, width, height,
+                    `rgba(0, 0, 0, ${item.loopType ? .1 : .3})`);
+            });
+
+            if (showLabels) {
+                color.parse('rgba(255, 255, 255, .6)');
+                Gdk.cairo_set_source_rgba(cr, color);
+                cr.setFontSize(12);
+                cr.moveTo(offset + 10, height - 10);
+                cr.showText(monitor === null ? _('Current monitor') : `${monitor}`);
+            }
+        });
+
+        // The rect, which is being created by dragging.
+        const createdRect = this._getCreatedRect();
+        if (createdRect) {
+            const { x: offset, width } = this._drag.section;
+            this._drawRect(cr, createdRect, offset, width, height, 'rgba(53, 132, 228, .3)');
+        }
+
+        cr.$dispose();
+    }
+
+    _drawRect(cr, rect, offset, width, height, fillColor) {
+        const color = new Gdk.RGBA();
+        const x1 = offset + rect.x * width + 5;
+        const x2 = offset + (rect.x + rect.width) * width - 5;
+        const y1 = rect.y * height + 5;
+        const y2 = (rect.y + rect.height) * height - 5;
+
+        color.parse('rgba(255, 255, 255, .2)');
+        Gdk.cairo_set_source_rgba(cr, color);
+        cr.moveTo(x1, y1);
+        cr.lineTo(x2, y1);
+        cr.lineTo(x2, y2);
+        cr.lineTo(x1, y2);
+        cr.lineTo(x1, y1);
+        cr.strokePreserve();
+
+        color.parse(fillColor);
+        Gdk.cairo_set_source_rgba(cr, color);
+        cr.fill();
+    }
+};
@@ -1,11 +1,12 @@
 'use strict';
 
-const { Gdk, Gio, Gtk, GObject } = imports.gi;
+const { Gio, Gtk, GObject } = imports.gi;
 
 const ExtensionUtils = imports.misc.extensionUtils;
 const Me = ExtensionUtils.getCurrentExtension();
 
 const Layout = Me.imports.src.common.Layout;
+const LayoutEditor = Me.imports.src.prefs.layoutEditor.LayoutEditor;
 const LayoutRowEntry = Me.imports.src.prefs.layoutRowEntry.LayoutRowEntry;
 
 const Gettext = imports.gettext;
@@ -17,7 +18,7 @@ const _ = Domain.gettext;
  * by layoutsPrefs.js (see that file for more details and general information
  * about layouts). 1 LayoutRow has a bunch of LayoutRowEntries, which each
  * represent a LayoutItem. A LayoutItem is a simple JS Object and has a
- * { rect, appId, loopType }. The rect is mandatory, the rest not.
+ * { rect, appId, loopType, monitor }. The rect is mandatory, the rest not.
  */
 
 var LayoutRow = GObject.registerClass({
@@ -33,7 +34,9 @@ var LayoutRow = GObject.registerClass({
         'nameEntry',
         'rectCountLabel',
         'shortcut',
-        'revealer'
+        'revealer',
+        'workspacesEntry',
+        'zoneMonitorsEntry'
     ],
     Signals: { 'changed': { param_types: [GObject.TYPE_BOOLEAN] } }
 }, class TilingLayoutRow extends Gtk.ListBoxRow {
@@ -76,6 +79,17 @@ var LayoutRow = GObject.registerClass({
         this._nameEntry.get_buffer().set_text(name, -1);
         this._nameEntry.set_placeholder_text(name ? '' : 'Nameless Layout...');
 
+        // Set the workspaces (1-based for the user), which use this layout as
+        // their 'Favorite Layout'.
+        const workspaces = this._layout.getWorkspaces().map(ws => ws + 1).join(', ');
+        this._workspacesEntry.get_buffer().set_text(workspaces, -1);
+
+        // Set the monitors (1-based for the user, if they aren't connector
+        // names), which use this layout's rects as their 'Snap Zones'.
+        const zoneMonitors = this._layout.getZoneMonitors()
+            .map(m => Number.isInteger(m) ? m + 1 : m).join(', ');
+        this._zoneMonitorsEntry.get_buffer().set_text(zoneMonitors, -1);
+
         // Load the entries with values from the layout
         const items = this._layout.getItems();
         items.forEach((item, idx) => {
@@ -94,11 +108,15 @@ var LayoutRow = GObject.registerClass({
         if (this._settings.get_int('favorite-layout') === this._idx)
             this.setFavoriteIcon(true);
 
+        // The preview of the layout, which is editable with the mouse
+        this._editor = new LayoutEditor(this, this._layout, this._drawingArea, this._settings);
+
         // Update the preview / show the errorLabel
         this._updatePreview();
     }
 
     destroy() {
+        this._editor.destroy();
         this.get_parent().remove(this);
     }
 
@@ -149,49 +167,90 @@ var LayoutRow = GObject.registerClass({
     }
 
     /**
-     * @returns {[boolean, string]} wether the preview was successful and a
+     * Adds a new item. The empty item at the end is reused, if there is one.
+     * Used by the LayoutEditor.
+     *
+     * @param {object} rect the rect of the new item.
+     * @param {number|string|null} monitor the monitor of the new item.
+     */
+    addItem(rect, monitor) {
+        let rowEntry = this._getRowEntries()
+            .find(e => Object.keys(e.getItem().rect).length !== 4);
+        if (!rowEntry) {
+            this._onAddRowEntryButtonClicked();
+            const rowEntries = this._getRowEntries();
+            rowEntry = rowEntries[rowEntries.length - 1];
+        }
+
+        const item = rowEntry.getItem();
+        item.rect = rect;
+        item.monitor = monitor;
+        rowEntry.update();
+    }
+
+    /**
+     * Removes an item and its LayoutRowEntry. Used by the LayoutEditor.
+     *
+     * @param {LayoutItem} item
+     */
+    removeItem(item) {
+        this._layout.removeItem(this._layout.getItems(false).indexOf(item));
+        const rowEntry = this._getRowEntries().find(e => e.getItem() === item);
+        rowEntry && this._entryBox.remove(rowEntry);
+        this._getRowEntries().forEach((e, idx) => e.setIndex(idx));
+
+        const count = this._layout.getItemCount(true);
+        this._rectCountLabel.set_label(count ? `(${count})` : '');
+        const [ok] = this._updatePreview();
+        this.emit('changed', ok);
+    }
+
+    /**
+     * Updates the LayoutRowEntry of an item, which was changed by the
+     * LayoutEditor. That will in turn update the preview.
+     *
+     * @param {LayoutItem} item
+     */
+    updateItem(item) {
+        this._getRowEntries().find(e => e.getItem() === item)?.update();
+    }
+
+    /**
+     * @param {LayoutItem} item
+     */
+    chooseApp(item) {
+        this._getRowEntries().find(e => e.getItem() === item)?.chooseApp();
+    }
+
+    /**
+     * @param {LayoutItem} item
+     */
+    removeApp(item) {
+        this._getRowEntries().find(e => e.getItem() === item)?.removeApp();
+    }
+
+    /**
+     * @returns {LayoutRowEntry[]}
+     */
+    _getRowEntries() {
+        const rowEntries = [];
+        for (let child = this._entryBox.get_first_child(); child; child = child.get_next_sibling()) {
+            if (child instanceof LayoutRowEntry)
+                rowEntries.push(child);
+        }
+
+        return rowEntries;
+    }
+
+    /**
+     * @returns {[boolean, string]} wether the layout is valid and a
      *      potential error message.
      */
     _updatePreview() {
+        // Always draw the preview (see LayoutEditor), so that the user can
+        // fix the problems with the mouse. Just print the error on top.
         const [ok, errMsg] = this._layout.validate();
-        if (!ok) {
-            // Print error in the preview area
-            this._errorLabel.set_label(errMsg);
-            this._drawingArea.set_draw_func(() => {});
-        } else {
-            // Draw the acual preview for the rects
-            this._errorLabel.set_label('');
-            this._drawingArea.set_draw_func((drawingArea, cr) => {
-                const color = new Gdk.RGBA();
-                const width = drawingArea.get_allocated_width();
-                const height = drawingArea.get_allocated_height();
-
-                cr.setLineWidth(1.0);
-
-                this._layout.getItems().forEach(item => {
-                    // Rects are in a slightly transparent white with a 1px outline
-                    // and a 5px gap between the different rects
-                    const rect = item.rect;
-                    color.parse('rgba(255, 255, 255, .2)');
-                    Gdk.cairo_set_source_rgba(cr, color);
-                    cr.moveTo(rect.x * width + 5, rect.y * height + 5);
-                    cr.lineTo((rect.x + rect.width) * width - 5, rect.y * height + 5);
-                    cr.lineTo((rect.x + rect.width) * width - 5, (rect.y + rect.height) * height - 5);
-                    cr.lineTo(rect.x * width + 5, (rect.y + rect.height) * height - 5);
-                    cr.lineTo(rect.x * width + 5, rect.y * height + 5);
-                    cr.strokePreserve();
-
-                    // Fill the rects in transparent black.
-                    // If the rect is a 'loop', lower the transparency.
-                    color.parse(`rgba(0, 0, 0, ${item.loopType ? .1 : .3})`);
-                    Gdk.cairo_set_source_rgba(cr, color);
-                    cr.fill();
-                });
-
-                cr.$dispose();
-            });
-        }
-
+        this._errorLabel.set_label(ok ? '' : errMsg);
         this._drawingArea.queue_draw();
         return [ok, errMsg];
     }
@@ -204,6 +263,35 @@ var LayoutRow = GObject.registerClass({
         this.emit('changed', ok);
     }
 
+    _onWorkspacesEntryChanged() {
+        const text = this._workspacesEntry.get_buffer().get_text().trim();
+        const values = text ? text.split(/[\s,]+/).filter(v => v) : [];
+        const ok = values.every(v => /^\d+$/.test(v) && parseInt(v) > 0);
+        if (ok) {
+            this._workspacesEntry.remove_css_class('error');
+            this._layout.setWorkspaces([...new Set(values.map(v => parseInt(v) - 1))]);
+        } else {
+            this._workspacesEntry.add_css_class('error');
+        }
+
+        this.emit('changed', ok && this._layout.validate()[0]);
+    }
+
+    _onZoneMonitorsEntryChanged() {
+        const text = this._zoneMonitorsEntry.get_buffer().get_text().trim();
+        const values = text ? text.split(/[\s,]+/).filter(v => v) : [];
+        const ok = values.every(v => !/^\d+$/.test(v) || parseInt(v) > 0);
+        if (ok) {
+            this._zoneMonitorsEntry.remove_css_class('error');
+            const monitors = values.map(v => /^\d+$/.test(v) ? parseInt(v) - 1 : v);
+            this._layout.setZoneMonitors([...new Set(monitors)]);
+        } else {
+            this._zoneMonitorsEntry.add_css_class('error');
+        }
+
+        this.emit('changed', ok && this._layout.validate()[0]);
+    }
+
     _onDeleteButtonClicked() {
         this._settings.set_strv(this._shortcutKey, []);
         this.emit('changed', true);
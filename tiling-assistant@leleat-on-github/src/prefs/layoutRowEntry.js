@@ -31,53 +31,93 @@ var LayoutRowEntry = GObject.registerClass({
 
         this._item = item;
 
-        this._rectLabel.set_label(`${idx}:`);
-        const loop = item.loopType ? `--${item.loopType}` : '';
-        const rect = item.rect;
-        const text = Object.keys(rect).length !== 0
-            ? `${rect.x}--${rect.y}--${rect.width}--${rect.height}${loop}`
-            : '';
-        this._rectEntry.get_buffer().set_text(text, -1);
+        this.setIndex(idx);
+        this.update();
 
         // Show a placeholder on the first entry, if it's empty
-        if (idx === 0 && Object.keys(rect).length === 0) {
+        if (idx === 0 && Object.keys(item.rect).length === 0) {
             const placeholder = _("'User Guide' for help...");
             this._rectEntry.set_placeholder_text(placeholder);
         }
+    }
+
+    /**
+     * @returns {LayoutItem} the item represented by this entry.
+     */
+    getItem() {
+        return this._item;
+    }
+
+    /**
+     * @param {number} idx the index shown in front of the entry.
+     */
+    setIndex(idx) {
+        this._rectLabel.set_label(`${idx}:`);
+    }
+
+    /**
+     * Updates the text and the app button after the item was changed
+     * elsewhere, e. g. by the LayoutEditor.
+     */
+    update() {
+        const item = this._item;
+        const loop = item.loopType ? `--${item.loopType}` : '';
+        const monitor = (item.monitor ?? null) !== null ? `@${item.monitor}` : '';
+        const rect = item.rect;
+        const text = Object.keys(rect).length !== 0
+            ? `${rect.x}--${rect.y}--${rect.width}--${rect.height}${loop}${monitor}`
+            : '';
+        if (this._rectEntry.get_buffer().get_text() !== text)
+            this._rectEntry.get_buffer().set_text(text, -1);
 
         const appInfo = item.appId && Gio.DesktopAppInfo.new(item.appId);
         const iconName = appInfo?.get_icon().to_string() ?? 'list-add-symbolic';
         this._rectAppButton.set_icon_name(iconName);
     }
 
+    /**
+     * Removes the app from the item.
+     */
+    removeApp() {
+        this._rectAppButton.set_icon_name('list-add-symbolic');
+        this._item.appId = null;
+        this.emit('changed', true);
+    }
+
+    /**
+     * Opens a dialog to choose an app for the item.
+     */
+    chooseApp() {
+        const chooserDialog = new Gtk.AppChooserDialog({
+            modal: true,
+            transient_for: this.get_root()
+        });
+        chooserDialog.get_widget().set({ show_all: true, show_other: true });
+        chooserDialog.connect('response', (dlg, id) => {
+            if (id === Gtk.ResponseType.OK) {
+                const appInfo = chooserDialog.get_widget().get_app_info();
+                const iconName = appInfo.get_icon().to_string();
+                this._rectAppButton.set_icon_name(iconName);
+                this._item.appId = appInfo.get_id();
+                this.emit('changed', true);
+            }
+
+            chooserDialog.destroy();
+        });
+
+        chooserDialog.show();
+    }
+
     /**
      * @param {Gtk.Button} appButton src of the event.
      */
     _onAppButtonClicked() {
-        // Reset app button, if it already has an app attached
-        if (this._item.appId) {
-            this._rectAppButton.set_icon_name('list-add-symbolic');
-            this._item.appId = null;
-            this.emit('changed', true);
-
-        // Attach app to the button
-        } else {
-            const chooserDialog = new Gtk.AppChooserDialog({ modal: true });
-            chooserDialog.get_widget().set({ show_all: true, show_other: true });
-            chooserDialog.connect('response', (dlg, id) => {
-                if (id === Gtk.ResponseType.OK) {
-                    const appInfo = chooserDialog.get_widget().get_app_info();
-                    const iconName = appInfo.get_icon().to_string();
-                    this._rectAppButton.set_icon_name(iconName);
-                    this._item.appId = appInfo.get_id();
-                    this.emit('changed', true);
-                }
-
-                chooserDialog.destroy();
-            });
-
-            chooserDialog.show();
-        }
+        // Reset app button, if it already has an app attached. Otherwise
+        // attach an app to the button.
+        if (this._item.appId)
+            this.removeApp();
+        else
+            this.chooseApp();
     }
 
     /**
@@ -87,32 +127,59 @@ var LayoutRowEntry = GObject.registerClass({
         const text = entry.get_buffer().get_text();
         const [ok] = this._validateFormat(text);
         if (ok) {
-            const values = text.split('--');
+            const [rectText, monitor] = this._splitMonitor(text);
+            const values = rectText.split('--');
             this._item.rect = {
                 x: parseFloat(values[0].trim()),
                 y: parseFloat(values[1].trim()),
                 width: parseFloat(values[2].trim()),
                 height: parseFloat(values[3].trim())
             };
-            this._item.loopType = values[4] || null;
+            this._item.loopType = values[4]?.trim() || null;
+            this._item.monitor = monitor;
         } else {
             this._item.rect = {};
             this._item.loopType = null;
+            this._item.monitor = null;
         }
 
         this.emit('changed', ok);
     }
 
+    /**
+     * Splits the optional monitor (e. g. '@1', '@primary', '@other' or
+     * '@HDMI-1') from the end of the `text`.
+     *
+     * @param {string} text
+     * @returns {[string, number|string|null]} the text without the monitor
+     *      and the monitor. A monitor index is returned as a number.
+     */
+    _splitMonitor(text) {
+        const atIdx = text.lastIndexOf('@');
+        if (atIdx === -1)
+            return [text, null];
+
+        const monitor = text.slice(atIdx + 1).trim();
+        return [
+            text.slice(0, atIdx),
+            /^\d+$/.test(monitor) ? parseInt(monitor) : monitor
+        ];
+    }
+
     /**
      * Validates wether `text` follows the format \
-     * 'Float--Float--Float--Float[--String]'
+     * 'Float--Float--Float--Float[--String][@Monitor]'
      *
      * @param {string} text
      * @returns {[boolean, string]} wether the `text` is valid and a
      *      potential error message.
      */
     _validateFormat(text) {
-        const values = text.split('--');
+        const [rectText, monitor] = this._splitMonitor(text);
+        if (monitor === '')
+            return [false, 'Wrong format: empty monitor.'];
+
+        const values = rectText.split('--');
         // 4 -> x, y, width, height; 5 -> additionally, a loopType
         if (values.length < 4 || values.length > 5)
             return [false, 'Wrong format: invalid count.'];
@@ -1,6 +1,6 @@
 'use strict';
 
-const { Gio, GLib } = imports.gi;
+const { Gio, GLib, Gtk } = imports.gi;
 const ByteArray = imports.byteArray;
 
 const ExtensionUtils = imports.misc.extensionUtils;
@@ -9,6 +9,10 @@ const Me = ExtensionUtils.getCurrentExtension();
 const LayoutRow = Me.imports.src.prefs.layoutRow.LayoutRow;
 const Util = Me.imports.src.prefs.utility.Util;
 
+const Gettext = imports.gettext;
+const Domain = Gettext.domain(Me.metadata.uuid);
+const _ = Domain.gettext;
+
 /**
  * This class takes care of everything related to layouts (at least on the
  * preference side). It's only being instanced by prefs.js. After that, it
@@ -27,8 +31,9 @@ const Util = Me.imports.src.prefs.utility.Util;
  * If a loopType is set, the Tiling Popup will keep spawning at that spot and
  * all tiled windows will evenly share that rect until the user cancels the tiling
  * popup. Only then will we jump to the next LayoutItem. Possible loopTypes:
- * horizontal ('h') or vertical (any other non-empty string). This allows the
- * user to create 'Master and Stack' type of layouts. If an appId is defined,
+ * horizontal ('h'), tabbed ('t') or vertical (any other non-empty string).
+ * This allows the user to create 'Master and Stack' type of layouts. In a
+ * tabbed loop, the windows don't share the rect but are stacked as tabs. If an appId is defined,
  * instead of the Tiling Popup appearing, a new instance of the app will be
  * opened and tiled to that rect (or at least I tried to do that).
  *
@@ -72,8 +77,15 @@ var Prefs = class TilingLayoutsPrefs {
             row.toggleReveal();
         });
 
+        // Unique button to add a new *tmp* LayoutRow from the current
+        // arrangement of the tiled windows.
+        this._captureLayoutButton = mainPrefs._capture_layout_button;
+        this._captureLayoutButton.connect('clicked', () => {
+            this._captureLayout();
+        });
+
         // Bind the general layouts keyboard shortcuts.
-        ['search-popup-layout', 'change-favorite-layout'].forEach(key => {
+        ['search-popup-layout', 'change-favorite-layout', 'capture-layout'].forEach(key => {
             const shortcut = mainPrefs[`_${key.replaceAll('-', '_')}`];
             shortcut.initialize(key, this._settings);
         });
@@ -174,6 +186,54 @@ var Prefs = class TilingLayoutsPrefs {
         );
     }
 
+    /**
+     * Asks the extension for the layout of the current top tile group and
+     * adds it as a new (unsaved) LayoutRow. The prefs run in their own
+     * process, so we can't access the windows directly but use the D-Bus
+     * interface of the extension (see src/extension/dbusService.js).
+     */
+    _captureLayout() {
+        const iface = 'org.gnome.Shell.Extensions.TilingAssistant';
+        Gio.DBus.session.call(
+            iface,
+            '/org/gnome/Shell/Extensions/TilingAssistant',
+            iface,
+            'CaptureLayout',
+            null,
+            new GLib.VariantType('(s)'),
+            Gio.DBusCallFlags.NONE,
+            -1,
+            null,
+            (connection, result) => {
+                let layout = '';
+                try {
+                    [layout] = connection.call_finish(result).deepUnpack();
+                } catch (e) {
+                    log(`Tiling Assistant: Couldn't capture the layout: ${e}`);
+                }
+
+                if (!layout) {
+                    const dialog = new Gtk.MessageDialog({
+                        transient_for: this._layoutsListBox.get_root(),
+                        modal: true,
+                        buttons: Gtk.ButtonsType.OK,
+                        text: _("Can't capture the layout, if no tiled window is visible.")
+                    });
+                    dialog.connect('response', () => dialog.destroy());
+                    dialog.present();
+                    return;
+                }
+
+                const row = this._createLayoutRow(LayoutRow.getInstanceCount(), JSON.parse(layout));
+                if (!row)
+                    return;
+
+                row.toggleReveal();
+                this._applySaveButtonStyle('suggested-action');
+            }
+        );
+    }
+
     /**
      * @param {string} [parentPath=''] path to the parent directory.
      * @param {string} [fileName=''] name of the layouts file.
@@ -83,6 +83,8 @@ var ListRow = GObject.registerClass({
         } else if (widget instanceof Gtk.SpinButton) {
             // Just grab focus since the action to take is ambiguous.
             widget?.grab_focus();
+        } else if (widget instanceof Gtk.Entry) {
+            widget?.grab_focus();
         } else if (widget instanceof ShortcutListener) {
             widget?.activate();
         } else if (widget instanceof Gtk.ComboBox) {
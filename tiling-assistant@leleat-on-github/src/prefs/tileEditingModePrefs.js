@@ -0,0 +1,195 @@
+'use strict';
+
+const { Gdk, GLib, Gtk } = imports.gi;
+
+const ExtensionUtils = imports.misc.extensionUtils;
+const Me = ExtensionUtils.getCurrentExtension();
+
+const { ListRow } = Me.imports.src.prefs.listRow;
+const { Settings, TileEditingModeActions: Actions } = Me.imports.src.common;
+
+const Gettext = imports.gettext;
+const Domain = Gettext.domain(Me.metadata.uuid);
+const _ = Domain.gettext;
+
+/**
+ * This class creates the rows for the keys of the Tile Editing Mode. It's
+ * only being instanced by prefs.js. The keys are saved as a dictionary
+ * (action -> key names) in the tile-editing-mode-keys setting. The actions
+ * are entered as a comma-separated list of key names and the modes are
+ * mapped to a modifier, which is chosen from a ComboBox.
+ */
+
+var Prefs = class TileEditingModePrefs {
+    /**
+     * @param {TilingAssistantPrefs} mainPrefs
+     */
+    constructor(mainPrefs) {
+        this._settings = mainPrefs._settings;
+        // Don't save the keys while they're being loaded into the widgets.
+        this._isLoading = false;
+
+        const actions = [
+            { action: Actions.FOCUS_UP, title: _('Select Up') },
+            { action: Actions.FOCUS_DOWN, title: _('Select Down') },
+            { action: Actions.FOCUS_LEFT, title: _('Select Left') },
+            { action: Actions.FOCUS_RIGHT, title: _('Select Right') },
+            {
+                action: Actions.EXPAND,
+                title: _('Expand'),
+                subtitle: _('Expand the window to fill the available space')
+            },
+            {
+                action: Actions.CYCLE,
+                title: _('Cycle'),
+                subtitle: _('Cycle through the halves of the available space')
+            },
+            { action: Actions.QUIT, title: _('Close Window') },
+            { action: Actions.RESTORE, title: _('Untile Window') },
+            {
+                action: Actions.SPLIT_VERTICALLY,
+                title: _('Split Vertically'),
+                subtitle: _('Split the selected tile into a left and a right half')
+            },
+            {
+                action: Actions.SPLIT_HORIZONTALLY,
+                title: _('Split Horizontally'),
+                subtitle: _('Split the selected tile into a top and a bottom half')
+            },
+            { action: Actions.SPLIT_VERTICALLY_THIRDS, title: _('Split Vertically into Thirds') },
+            { action: Actions.SPLIT_HORIZONTALLY_THIRDS, title: _('Split Horizontally into Thirds') },
+            { action: Actions.ROTATE, title: _('Rotate Layout') },
+            {
+                action: Actions.MIRROR_HORIZONTALLY,
+                title: _('Mirror Layout Horizontally'),
+                subtitle: _('Swap the left and right side of the tile group')
+            },
+            {
+                action: Actions.MIRROR_VERTICALLY,
+                title: _('Mirror Layout Vertically'),
+                subtitle: _('Swap the top and bottom of the tile group')
+            },
+            {
+                action: Actions.BALANCE,
+                title: _('Balance Layout'),
+                subtitle: _('Give the tiles in each row or column the same size')
+            },
+            { action: Actions.NEXT_TAB, title: _('Next Tab') },
+            { action: Actions.PREVIOUS_TAB, title: _('Previous Tab') },
+            { action: Actions.CLOSE, title: _('Leave Tile Editing Mode') },
+            {
+                action: Actions.ACTIVATE,
+                title: _('Activate'),
+                subtitle: _('Focus the selected window or open the Tiling Popup on an empty spot')
+            },
+            { action: Actions.TOGGLE_LEGEND, title: _('Toggle Key Legend') },
+            {
+                action: Actions.SWAP_MODE,
+                title: _('Swap Mode'),
+                subtitle: _('Move the selected window and swap it with the window at the new spot')
+            },
+            {
+                action: Actions.RESIZE_MODE,
+                title: _('Resize Mode'),
+                subtitle: _('Resize the selected window')
+            }
+        ];
+
+        // { action1: Gtk.Entry or Gtk.ComboBoxText, action2: ... }
+        this._widgets = {};
+        const listBox = mainPrefs._tile_editing_mode_keys_listbox;
+        actions.forEach(({ action, title, subtitle }) => {
+            const widget = Actions.isMode(action)
+                ? this._createModifierComboBox(action)
+                : this._createKeyEntry(action);
+            this._widgets[action] = widget;
+            const row = new ListRow({ title, suffix: widget });
+            if (subtitle)
+                row.subtitle = subtitle;
+
+            listBox.append(row);
+        });
+
+        mainPrefs._reset_tile_editing_mode_keys_button.connect('clicked', () => {
+            this._settings.reset(Settings.TILE_EDITING_MODE_KEYS);
+            this._loadKeys();
+        });
+
+        this._loadKeys();
+    }
+
+    _loadKeys() {
+        this._isLoading = true;
+
+        const keys = this._getKeys();
+        Object.entries(this._widgets).forEach(([action, widget]) => {
+            const names = keys[action] ?? [];
+            if (Actions.isMode(action)) {
+                widget.set_active(Actions.MODIFIERS.indexOf(names[0]));
+            } else {
+                widget.set_text(names.join(', '));
+                widget.remove_css_class('error');
+            }
+        });
+
+        this._isLoading = false;
+    }
+
+    /**
+     * @returns {object} the dictionary of the tile-editing-mode-keys setting.
+     */
+    _getKeys() {
+        return this._settings.get_value(Settings.TILE_EDITING_MODE_KEYS).deepUnpack();
+    }
+
+    /**
+     * @param {string} action a TileEditingModeActions.
+     * @param {string[]} names the key names of `action`.
+     */
+    _saveKeys(action, names) {
+        if (this._isLoading)
+            return;
+
+        const keys = { ...this._getKeys(), [action]: names };
+        this._settings.set_value(Settings.TILE_EDITING_MODE_KEYS,
+            new GLib.Variant('a{sas}', keys));
+    }
+
+    /**
+     * @param {string} action a TileEditingModeActions.
+     * @returns {Gtk.Entry} an entry for a comma-separated list of key names.
+     *      Unknown key names are marked as an error and aren't saved.
+     */
+    _createKeyEntry(action) {
+        const entry = new Gtk.Entry({ valign: Gtk.Align.CENTER, width_chars: 18 });
+        entry.connect('changed', () => {
+            const names = entry.get_text().split(',').map(n => n.trim()).filter(n => n);
+            const isValid = names.every(n => Gdk.keyval_from_name(n) !== Gdk.KEY_VoidSymbol);
+            if (!isValid) {
+                entry.add_css_class('error');
+                return;
+            }
+
+            entry.remove_css_class('error');
+            this._saveKeys(action, names);
+        });
+
+        return entry;
+    }
+
+    /**
+     * @param {string} action a mode of the TileEditingModeActions.
+     * @returns {Gtk.ComboBoxText} a ComboBox to choose the modifier of
+     *      the mode.
+     */
+    _createModifierComboBox(action) {
+        const comboBox = new Gtk.ComboBoxText({ valign: Gtk.Align.CENTER });
+        Actions.MODIFIERS.forEach(m => comboBox.append_text(m));
+        comboBox.connect('changed', () => {
+            const modifier = Actions.MODIFIERS[comboBox.get_active()];
+            modifier && this._saveKeys(action, [modifier]);
+        });
+
+        return comboBox;
+    }
+};